@@ -47,17 +47,141 @@ function Authenticable(schema, opts = {}) {
     }
 
     /**
-     * Static function to handle authentication. It takes username and password
-     * as parameters where by username can be email, password or any field 
-     * specified in authentication aliases. It return promise which resolve 
-     * with authenticable instance on success or reject with error on fails.
-     * 
+     * Record authentication outcome of this account if schema keeps sign in
+     * history.
+     * @param {string} outcome - authentication outcome
+     * @param {object} context - details of the authentication request
+     * @return {Promise} - resolve with authenticable
+     * @private
+     */
+    schema.methods.recordAuthenticationOutcome = function (outcome, context) {
+        const authenticable = this;
+        if (authenticable.recordSignInEvent) {
+            return authenticable.recordSignInEvent(outcome, context);
+        }
+        return Promise.resolve(authenticable);
+    }
+
+    /**
+     * Register failed authentication attempt of this account. It count the
+     * failed attempt if schema is lockable and record the outcome, which
+     * become `locked` if the attempt locked the account.
+     * @param {string} outcome - authentication outcome e.g bad_password
+     * @param {object} context - details of the authentication request
+     * @return {Promise} - resolve with up to date authenticable
+     * @private
+     */
+    schema.methods.registerFailedAuthentication = function (outcome, context) {
+        const authenticable = this;
+        const registration = authenticable.registerFailedAttempt ?
+            authenticable.registerFailedAttempt() : Promise.resolve(authenticable);
+        return registration
+            .then(authenticable => {
+                const isLocked = authenticable.isLocked && authenticable.isLocked();
+                return authenticable
+                    .recordAuthenticationOutcome(isLocked ? 'locked' : outcome, context);
+            });
+    }
+
+    /**
+     * Check if any of the plugged modules block this account from
+     * authenticating i.e account is locked, not confirmed or its password
+     * has expired. Expired password is rejected with `PasswordExpiredError`
+     * so that the account owner change it first.
+     * @param {object} context - details of the authentication request
+     * @param {object} [checks] - checks to apply
+     * @param {boolean} [checks.confirmable=true] - whether to apply confirmable check
+     * @return {Promise} - resolve with authenticable or reject with error
+     * @private
+     */
+    schema.methods.checkAuthenticationBlock = function (context, checks = {}) {
+        const authenticable = this;
+        if (authenticable.isLocked && authenticable.isLocked()) {
+            return authenticable
+                .recordAuthenticationOutcome('locked', context)
+                .then(() => {
+                    throw new createError(423, authenticable.lockedAccountMessage());
+                });
+        }
+        const confirmableBlockMessage = checks.confirmable === false ? '' :
+            authenticable.confirmableBlockAuthenticationMessage();
+        if (confirmableBlockMessage) {
+            return authenticable
+                .recordAuthenticationOutcome('unconfirmed', context)
+                .then(() => {
+                    throw new createError(401, confirmableBlockMessage);
+                });
+        }
+        if (authenticable.isPasswordExpired && authenticable.isPasswordExpired()) {
+            return Promise.reject(createError(403, 'Password expired', {
+                name: 'PasswordExpiredError',
+                code: 'PASSWORD_EXPIRED'
+            }));
+        }
+        return Promise.resolve(authenticable);
+    }
+
+    /**
+     * Finish successful authentication of this account. It clear failed
+     * attempts, track sign in details, start activity, create session and
+     * record the outcome depending on plugged modules. Account changes are
+     * saved along the way and any left are saved once at the end.
+     * @param {object} context - details of the authentication request
+     * @return {Promise} - resolve with authenticable or reject with error
+     * @private
+     */
+    schema.methods.completeAuthentication = function (context) {
+        const authenticable = this;
+        if (authenticable.startActivity) {
+            // start counting idle time afresh if schema is timeoutable
+            authenticable.startActivity();
+        }
+        const reset = authenticable.resetFailedAttempts && authenticable.failedAttempts ?
+            authenticable.resetFailedAttempts() : Promise.resolve(authenticable);
+        return reset
+            .then(authenticable => {
+                if (authenticable.trackSignIn) {
+                    // record sign in details if schema is trackable
+                    return authenticable.trackSignIn(context);
+                }
+                return authenticable;
+            })
+            .then(authenticable => authenticable.isModified() ?
+                authenticable.save() : authenticable)
+            .then(authenticable => {
+                if (authenticable.createSession) {
+                    // keep record of signed in device if schema is sessionable
+                    return authenticable.createSession(context);
+                }
+                return authenticable;
+            })
+            .then(authenticable => authenticable
+                .recordAuthenticationOutcome('success', context));
+    }
+
+    /**
+     * Fields accepted as username by password authentication. Registerable
+     * use them to penalize passwords containing account details.
+     * @return {string[]} - authenticable aliases
+     * @private
+     */
+    schema.statics.authenticationAliases = function () {
+        return options.aliases;
+    };
+
+    /**
+     * Static function to verify username and password combination. Wrong
+     * password is registered as failed authentication attempt on every account
+     * the username refer to. It does not apply any other authentication check.
+     *
      * @param {string} username - username to authenticate, it represent any 
      * field from authenticable aliases 
      * @param {string} password - password
-     * 
+     * @param {object} [context] - details of the authentication request
+     * @return {Promise} - resolve with authenticable or reject with error
+     * @private
      */
-    schema.statics.authenticate = function (username, password) {
+    schema.statics.verifyCredentials = function (username, password, context = {}) {
         //this refer to the model static
         const Authenticable = this;
         if(!username || !password){
@@ -82,27 +206,68 @@ function Authenticable(schema, opts = {}) {
             .then(users => {
                 return Promise.all(users.map(user => Utils
                     .compare(password, user.password)
-                    .then(match => {
-                        if (match) {
-                            return user;
-                        } else {
-                            return;
-                        }
-                    })))
+                    .then(match => ({ user, match }))));
             })
-            .then(users => {
-                return users.find(user => user !== undefined)
-            })
-            .then(authenticable => {
-                if (!authenticable) {
-                    throw new createError(400, 'Invalid user password');
+            .then(results => {
+                const matched = results.find(result => result.match);
+                if (!matched) {
+                    // count failed attempt on every account which the
+                    // username refer to
+                    const failures = results.map(({ user }) => user
+                        .registerFailedAuthentication('bad_password', context));
+                    return Promise
+                        .all(failures)
+                        .then(users => {
+                            const locked = users
+                                .find(user => user.isLocked && user.isLocked());
+                            if (locked) {
+                                throw new createError(423, locked.lockedAccountMessage());
+                            }
+                            throw new createError(400, 'Invalid user password');
+                        });
                 }
-                const confirmableBlockMessage = authenticable
-                    .confirmableBlockAuthenticationMessage();
-                if (confirmableBlockMessage) {
-                    throw new createError(401, confirmableBlockMessage);
+                return matched.user;
+            });
+    }
+
+    /**
+     * Static function to handle authentication. It takes username and password
+     * as parameters where by username can be email, password or any field 
+     * specified in authentication aliases. It return promise which resolve 
+     * with authenticable instance on success or reject with error on fails.
+     * When account requires second factor, it resolve with second factor
+     * challenge instead of authenticable instance. Locked, unconfirmed and
+     * expired password accounts are rejected as of `checkAuthenticationBlock`.
+     * Password hash of weaker hasher or lower cost than current
+     * registerable hashing options is replaced transparently.
+     * 
+     * @param {string} username - username to authenticate, it represent any 
+     * field from authenticable aliases 
+     * @param {string} password - password
+     * @param {object} [context] - details of the authentication request
+     * @param {string} [context.ipAddress] - remote ip address of the requester
+     * @param {string} [context.userAgent] - user agent of the requester
+     * 
+     */
+    schema.statics.authenticate = function (username, password, context = {}) {
+        //this refer to the model static
+        const Authenticable = this;
+        return Authenticable
+            .verifyCredentials(username, password, context)
+            .then(authenticable => authenticable.checkAuthenticationBlock(context))
+            .then(authenticable => {
+                if (authenticable.rehashPassword) {
+                    // migrate password hash to current hashing options
+                    return authenticable.rehashPassword(password);
                 }
                 return authenticable;
+            })
+            .then(authenticable => {
+                if (authenticable.requiresSecondFactor && authenticable.requiresSecondFactor()) {
+                    // defer authentication completion to second factor verification
+                    return authenticable.createSecondFactorChallenge();
+                }
+                return authenticable.completeAuthentication(context);
             });
     }
 }
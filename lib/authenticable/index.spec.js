@@ -141,4 +141,159 @@ describe('Authenticable', function () {
                 });
         });
     });
+
+    describe('Password Expiry', function () {
+        let User;
+        const password = faker.internet.password();
+        const email = faker.internet.email().toLowerCase();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable, { password_policies: { max_age_days: 90 } });
+            UserSchema.plugin(Authenticable);
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password })
+                .then(() => done());
+        });
+
+        it('should authenticate with password younger than maximum age', function (done) {
+            User
+                .authenticate(email, password)
+                .then(authenticable => {
+                    expect(authenticable.passwordChangedAt).to.not.be.null;
+                    expect(authenticable.isPasswordExpired()).to.be.false;
+                    done();
+                });
+        });
+
+        it('should reject authentication with expired password', function (done) {
+            const passwordChangedAt = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000);
+            User
+                .update({ email }, { $set: { passwordChangedAt } })
+                .exec()
+                .then(() => User.authenticate(email, password))
+                .catch(error => {
+                    expect(error.statusCode).to.equal(403);
+                    expect(error.name).to.equal('PasswordExpiredError');
+                    expect(error.code).to.equal('PASSWORD_EXPIRED');
+                    done();
+                });
+        });
+
+        it('should be able to authenticate after changing expired password', function (done) {
+            const newPassword = faker.internet.password();
+            User
+                .findOne({ email })
+                .exec()
+                .then(authenticable => authenticable.changePassword(password, newPassword))
+                .then(() => User.authenticate(email, newPassword))
+                .then(authenticable => {
+                    expect(authenticable.isPasswordExpired()).to.be.false;
+                    done();
+                });
+        });
+    });
+
+
+    describe('Forced Password Change', function () {
+        let User;
+        const password = faker.internet.password();
+        const email = faker.internet.email().toLowerCase();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password })
+                .then(registerable => {
+                    registerable.mustChangePassword = true;
+                    return registerable.save();
+                })
+                .then(() => done());
+        });
+
+        it('should reject authentication of account flagged to change password', function (done) {
+            User
+                .authenticate(email, password)
+                .catch(error => {
+                    expect(error.name).to.equal('PasswordExpiredError');
+                    done();
+                });
+        });
+
+        it('should clear the flag once password is changed', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(authenticable => authenticable
+                    .changePassword(password, faker.internet.password()))
+                .then(authenticable => {
+                    expect(authenticable.mustChangePassword).to.be.false;
+                    done();
+                });
+        });
+    });
+
+
+    describe('Rehash Password on Authentication', function () {
+        let User;
+        let passwordChangedAt;
+        const password = faker.internet.password();
+        const email = faker.internet.email().toLowerCase();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable, {
+                password_hashing: { algorithm: 'bcrypt', bcrypt: { rounds: 5 } }
+            });
+            UserSchema.plugin(Authenticable);
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            // simulate account migrated from legacy PBKDF2 system
+            const legacy = { algorithm: 'pbkdf2', pbkdf2: { iterations: 1000, digest: 'sha1' } };
+            User
+                .register({ email, password })
+                .then(registerable => {
+                    passwordChangedAt = registerable.passwordChangedAt;
+                    return Utils.hash(password, legacy);
+                })
+                .then(hash => User.update({ email }, { $set: { password: hash } }).exec())
+                .then(() => done());
+        });
+
+        it('should rehash password of weaker hasher', function (done) {
+            User
+                .authenticate(email, password)
+                .then(() => User.findOne({ email }).exec())
+                .then(authenticable => {
+                    expect(authenticable.password).to.match(/^\$2a\$05\$/);
+                    expect(authenticable.passwordChangedAt.getTime())
+                        .to.equal(passwordChangedAt.getTime());
+                    return User.authenticate(email, password);
+                })
+                .then(authenticable => {
+                    expect(authenticable.email).to.equal(email);
+                    done();
+                });
+        });
+
+        it('should rehash password of lower cost', function (done) {
+            Utils
+                .hash(password, 4)
+                .then(hash => User.update({ email }, { $set: { password: hash } }).exec())
+                .then(() => User.authenticate(email, password))
+                .then(authenticable => {
+                    expect(Utils.needsRehash(authenticable.password, 5)).to.be.false;
+                    done();
+                });
+        });
+    });
 });
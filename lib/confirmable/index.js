@@ -13,6 +13,9 @@
  *  + confirmationTokenExpiryAt
  *  + confirmedAt
  *  + confirmationSentAt
+ *  + confirmationLastSentAt
+ *  + confirmationAttempts
+ *  + confirmationSendCount
  *  + autoConfirm
  *  + emailVerifiedAt
  *  + phoneVerifiedAt
@@ -26,6 +29,21 @@ const deepmerge = require('deepmerge');
 const validator = require('validator');
 const Utils = require(path.join(__dirname, '..', 'utils'));
 
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Confirmable options
+ * @param {number} opts.token_life - number of days before confirmation token expire
+ * @param {number} opts.allow_unconfirmed_access_for - number of days to allow
+ * unconfirmed account to authenticate
+ * @param {string} opts.token_secret - when set only keyed hash of confirmation
+ * token is persisted
+ * @param {number} opts.max_token_attempts - number of wrong guesses before
+ * confirmation token is invalidated
+ * @param {number} opts.resend_cooldown - number of seconds to wait before
+ * confirmation instructions can be requested again
+ * @param {number} opts.max_sends_per_day - number of times confirmation
+ * instructions can be sent in a day
+ */
 function Confirmable(schema, opts = {}) {
   // init defaults
   const defaults = {
@@ -33,7 +51,13 @@ function Confirmable(schema, opts = {}) {
     token_life: 1,
     // the time you want to allow the user to access their account
     // before confirming it. After this period, the user access is denied
-    allow_unconfirmed_access_for: 0
+    allow_unconfirmed_access_for: 0,
+    // number of wrong guesses allowed before confirmation token is invalidated
+    max_token_attempts: 5,
+    // the time to wait before confirmation instructions can be resent
+    resend_cooldown: 0,
+    // maximum confirmation instructions sent in a day, unlimited if not set
+    max_sends_per_day: 0
   };
 
   //prepare options
@@ -66,6 +90,24 @@ function Confirmable(schema, opts = {}) {
       default: null,
       hide: true
     },
+    // the time confirmation instructions last sent
+    confirmationLastSentAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // number of wrong guesses of current confirmation token
+    confirmationAttempts: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // number of confirmation instructions sent on the day of last send
+    confirmationSendCount: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
     // set this to true to allow this account to skip confirmation
     autoConfirm: {
       type: Boolean,
@@ -81,25 +123,23 @@ function Confirmable(schema, opts = {}) {
   // add new fields into the schema
   schema.add(fields);
 
-  //--------------------------------------------------------------------------
-  // confirmable instance methods
-  //--------------------------------------------------------------------------
+  // contribute confirmation details and verified channels to exported
+  // personal data
+  Utils.addPersonalDataSection(schema, 'confirmation', confirmable => Utils
+    .pickPaths(confirmable, [
+      'confirmedAt', 'confirmationSentAt', 'emailVerifiedAt', 'phoneVerifiedAt'
+    ]));
+
+  // fields tracking confirmation instructions sends
+  const sendPaths = { sentAt: 'confirmationLastSentAt', count: 'confirmationSendCount' };
 
   /**
-   * @function
-   * Generate confirmation token to be used to confirm user account.
-   * This function must be called within model instance context.
-   * Confirmation is saved as plain text in the db so to ensure security,
-   * it's recommended not to authenticate user automatically after 
-   * account confirmation.
-   * 
-   * @return {Object} - Confirmable
+   * set new confirmation token on the account
+   * @param {Object} confirmable - account to set token on
+   * @return {String} - plain confirmation token
    * @private
    */
-  schema.methods.generateConfirmationToken = function () {
-    //this context is of model instance
-    const confirmable = this;
-
+  const issueConfirmationToken = function (confirmable) {
     //set confirmation expiration date
     const confirmationTokenExpiryAt = Utils.addDays(options.token_life);
 
@@ -107,11 +147,36 @@ function Confirmable(schema, opts = {}) {
     confirmable.confirmationTokenExpiryAt = confirmationTokenExpiryAt;
 
     // set confirmation token
-    confirmable.confirmationToken = randomize('0', 6);
+    const token = randomize('0', 6);
+    confirmable.confirmationToken = Utils.protectToken(token, options.token_secret);
     //update confirmation token creation time
     confirmable.confirmationSentAt = new Date();
+    //reset wrong guesses of previous token
+    confirmable.confirmationAttempts = 0;
     //clear previous confirm details if any
     confirmable.confirmedAt = null;
+    return token;
+  };
+
+  //--------------------------------------------------------------------------
+  // confirmable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Generate confirmation token to be used to confirm user account.
+   * This function must be called within model instance context.
+   * Unless `token_secret` option is set, confirmation is saved as plain text
+   * in the db so to ensure security, it's recommended not to authenticate
+   * user automatically after account confirmation.
+   * 
+   * @return {Object} - Confirmable
+   * @private
+   */
+  schema.methods.generateConfirmationToken = function () {
+    //this context is of model instance
+    const confirmable = this;
+    issueConfirmationToken(confirmable);
     //return confirmable
     return confirmable;
   };
@@ -120,7 +185,10 @@ function Confirmable(schema, opts = {}) {
 
   /**
    * @function
-   * Confirm user account using email or phone number
+   * Confirm user account using email or phone number.
+   * Confirmation token is invalidated after `max_token_attempts` wrong
+   * guesses and confirmation is rejected with `410 Gone` error until new
+   * confirmation instructions are requested.
    * @param {String} username - Email or phone number
    * @param {String} confirmationToken - confirmation token sent during registration
    */
@@ -131,7 +199,6 @@ function Confirmable(schema, opts = {}) {
       // confirmationToken or username is not specified
       return Promise.reject(new createError(400, 'Invalid confirmation details'));
     }
-    //TODO sanitize confirmationToken
     let credential;
     const isEmail = validator.isEmail(username);
     if (isEmail) {
@@ -148,10 +215,28 @@ function Confirmable(schema, opts = {}) {
           throw new createError(404, 'User not found');
         }
 
-        const regex = new RegExp(confirmationToken, 'i');
-        const match = confirmable.confirmationToken ? confirmable.confirmationToken.match(regex) : false;
+        const isExhausted =
+          confirmable.confirmationAttempts >= options.max_token_attempts;
+        if (isExhausted) {
+          throw new createError(410, 'Confirmation token invalidated. Request a new one');
+        }
+
+        const match = Utils.verifyToken(confirmationToken,
+          confirmable.confirmationToken, options.token_secret);
         if (!match) {
-          throw new createError(400, 'Invalid confirmation token');
+          const paths = {
+            token: 'confirmationToken',
+            expiry: 'confirmationTokenExpiryAt',
+            attempts: 'confirmationAttempts'
+          };
+          return Utils
+            .registerTokenAttempt(Confirmable, confirmable, paths, options.max_token_attempts)
+            .then(invalidated => {
+              if (invalidated) {
+                throw new createError(410, 'Confirmation token invalidated. Request a new one');
+              }
+              throw new createError(400, 'Invalid confirmation token');
+            });
         }
         //check if confirmation token expiry
         const isTokenExpiry = !Utils.isAfter(new Date(), confirmable.confirmationTokenExpiryAt);
@@ -168,12 +253,14 @@ function Confirmable(schema, opts = {}) {
         confirmable.confirmedAt = new Date();
         confirmable.confirmationToken = null;
         confirmable.confirmationTokenExpiryAt = null;
+        confirmable.confirmationAttempts = 0;
         return confirmable.save();
       });
   };
 
   /**
-   * Static method used to send confirmation instructions
+   * Static method used to send confirmation instructions. Resend limits
+   * apply as of the instance method.
    * @param {String} username - username
    */
   schema.statics.sendConfirmationInstructions = function (username) {
@@ -195,7 +282,7 @@ function Confirmable(schema, opts = {}) {
           const error = new createError(404, 'The username does not exist in our records');
           throw error;
         }
-        confirmable.sendConfirmationInstructions();
+        return confirmable.sendConfirmationInstructions();
       });
   };
 
@@ -209,12 +296,19 @@ function Confirmable(schema, opts = {}) {
    *   2. If not confirmed and confirmation is expired, regenerate confirmation
    *      token and resend.
    *   3. If not confirmed and confirmation token is not expired, resend the 
-   *      confirmation
+   *      confirmation. When only token hash is persisted, token is
+   *      regenerated since plain token can not be recovered.
+   * Plain token is passed to the notification hook as `{ token }`.
+   * Sends made before `resend_cooldown` seconds have passed since last
+   * send or after `max_sends_per_day` is reached are rejected with
+   * `429 Too Many Requests` error whose `retryAfter` is the number of seconds
+   * to wait.
    *
+   * @param {String} [token] - plain confirmation token just issued
    * @return Promise
    * @private
    */
-  schema.methods.sendConfirmationInstructions = function () {
+  schema.methods.sendConfirmationInstructions = function (token) {
     //this refer to model instance context
     const confirmable = this;
 
@@ -224,14 +318,28 @@ function Confirmable(schema, opts = {}) {
       // already confirmed back-off
       return Promise.resolve(confirmable);
     }
-    // check if confirmation token expired
-    const isTokenExpired = !Utils.isAfter(new Date(), confirmable.confirmationTokenExpiryAt);
-    if (isTokenExpired) {
-      // Token expired, regenerate new token
-      confirmable.generateConfirmationToken()
-    }
-    //send confirmation instruction
-    return confirmable.sendJabaliNotification('CONFIRMATION_INSTRUCTIONS', confirmable)
+    return Utils
+      .claimSend(confirmable.constructor, confirmable, sendPaths, options)
+      .then(retryAfter => {
+        if (retryAfter) {
+          throw new createError(429, 'Confirmation instructions already sent. Try again later', {
+            retryAfter,
+            headers: { 'Retry-After': String(retryAfter) }
+          });
+        }
+        // check if confirmation token expired
+        const isTokenExpired = !Utils.isAfter(new Date(), confirmable.confirmationTokenExpiryAt);
+        const isTokenUnknown = !token && options.token_secret;
+        if (isTokenExpired || isTokenUnknown) {
+          // Token expired, regenerate new token
+          token = issueConfirmationToken(confirmable);
+        }
+        //send confirmation instruction
+        return confirmable
+          .sendJabaliNotification('CONFIRMATION_INSTRUCTIONS', confirmable, {
+            token: token || confirmable.confirmationToken
+          });
+      })
       .then(() => {
         return confirmable.save();
       });
@@ -86,6 +86,26 @@ describe('Confirmable', function () {
     });
 
 
+    it('should fail to confirm account using partial token', function (done) {
+      User
+        .confirm(email, token.charAt(0))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid confirmation token');
+          done();
+        });
+    });
+
+    it('should fail to confirm account using regular expression', function (done) {
+      User
+        .confirm(email, '.*')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid confirmation token');
+          done();
+        });
+    });
+
     it('should be able to confirm account through email', function (done) {
       User
         .confirm(email, token)
@@ -228,4 +248,302 @@ describe('Confirmable', function () {
         });
     });
   });
+
+
+  describe('Confirm Account With Hashed Token', function () {
+    let User;
+    let token;
+    let sendNotificationStub;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Confirmable, { token_secret: faker.random.uuid() });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationStub = sinon
+        .stub(User.prototype, 'sendJabaliNotification')
+        .callsFake((type, user, data) => {
+          token = data.token;
+          return Promise.resolve();
+        });
+      User
+        .register({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => done());
+    });
+
+    it('should persist only confirmation token hash', function (done) {
+      User
+        .findOne({ email })
+        .exec()
+        .then(confirmable => {
+          expect(token).to.have.length(6);
+          expect(confirmable.confirmationToken).to.not.equal(token);
+          expect(confirmable.confirmationToken).to.have.length(64);
+          done();
+        });
+    });
+
+    it('should fail to confirm account using token hash', function (done) {
+      User
+        .findOne({ email })
+        .exec()
+        .then(confirmable => User.confirm(email, confirmable.confirmationToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    it('should send working token when resending from a fresh instance', function (done) {
+      const previousToken = token;
+      User
+        .sendConfirmationInstructions(email)
+        .then(() => {
+          expect(token).to.have.length(6);
+          expect(token).to.not.equal(previousToken);
+          done();
+        });
+    });
+
+    it('should be able to confirm account using plain token', function (done) {
+      User
+        .confirm(email, token)
+        .then(confirmable => {
+          expect(confirmable.confirmedAt).to.not.be.null;
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationStub.restore();
+    });
+  });
+
+
+  describe('Confirmation Token Attempts', function () {
+    let User;
+    let token;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Confirmable, { max_token_attempts: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .create({
+          email,
+          password: faker.internet.password()
+        })
+        .then(confirmable => confirmable.generateConfirmationToken().save())
+        .then(confirmable => {
+          token = confirmable.confirmationToken;
+          done();
+        });
+    });
+
+    it('should count wrong confirmation token guesses', function (done) {
+      User
+        .confirm(email, '000000x')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          return User.findOne({ email }).exec();
+        })
+        .then(confirmable => {
+          expect(confirmable.confirmationAttempts).to.equal(1);
+          expect(confirmable.confirmationToken).to.equal(token);
+          done();
+        });
+    });
+
+    it('should invalidate confirmation token when maximum attempts reached', function (done) {
+      User
+        .confirm(email, '000000x')
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          expect(error.message)
+            .to.equal('Confirmation token invalidated. Request a new one');
+          return User.findOne({ email }).exec();
+        })
+        .then(confirmable => {
+          expect(confirmable.confirmationAttempts).to.equal(2);
+          expect(confirmable.confirmationToken).to.be.null;
+          done();
+        });
+    });
+
+    it('should fail to confirm account using invalidated token', function (done) {
+      User
+        .confirm(email, token)
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          done();
+        });
+    });
+
+    it('should be able to confirm account using fresh token', function (done) {
+      User
+        .findOne({ email })
+        .exec()
+        .then(confirmable => confirmable.generateConfirmationToken().save())
+        .then(confirmable => {
+          expect(confirmable.confirmationAttempts).to.equal(0);
+          return User.confirm(email, confirmable.confirmationToken);
+        })
+        .then(confirmable => {
+          expect(confirmable.confirmedAt).to.not.be.null;
+          done();
+        });
+    });
+  });
+
+
+  describe('Unconfirmed Access Period', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Confirmable, { allow_unconfirmed_access_for: 1 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => done());
+    });
+
+    it('should not extend unconfirmed access period on resend', function (done) {
+      const confirmationSentAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+      User
+        .update({ email }, { $set: { confirmationSentAt } })
+        .exec()
+        .then(() => User.sendConfirmationInstructions(email))
+        .then(confirmable => {
+          expect(confirmable.confirmationSentAt.getTime())
+            .to.equal(confirmationSentAt.getTime());
+          expect(confirmable.confirmableBlockAuthenticationMessage())
+            .to.equal('Unconfirmed account');
+          done();
+        });
+    });
+  });
+
+
+  describe('Confirmation Instructions Limits', function () {
+    let User;
+    let sendNotificationSpy;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Confirmable, { resend_cooldown: 60 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationSpy = sinon.spy(User.prototype, 'sendJabaliNotification');
+      User
+        .register({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => done());
+    });
+
+    it('should reject resend made before cooldown', function (done) {
+      User
+        .sendConfirmationInstructions(email)
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.retryAfter).to.be.within(1, 60);
+          expect(sendNotificationSpy.calledOnce).to.be.true;
+          done();
+        });
+    });
+
+    it('should be able to resend after cooldown', function (done) {
+      User
+        .update({ email }, { $set: { confirmationLastSentAt: new Date(Date.now() - 61 * 1000) } })
+        .exec()
+        .then(() => User.sendConfirmationInstructions(email))
+        .then(confirmable => {
+          expect(confirmable.confirmationSendCount).to.equal(2);
+          expect(sendNotificationSpy.calledTwice).to.be.true;
+          done();
+        });
+    });
+
+    it('should let only one of concurrent resends pass cooldown', function (done) {
+      const resend = () => User
+        .sendConfirmationInstructions(email)
+        .then(() => null, error => error);
+      User
+        .update({ email }, { $set: { confirmationLastSentAt: new Date(Date.now() - 61 * 1000) } })
+        .exec()
+        .then(() => Promise.all([resend(), resend()]))
+        .then(errors => {
+          const rejected = errors.filter(error => error && error.statusCode === 429);
+          expect(rejected).to.have.length(1);
+          expect(sendNotificationSpy.calledThrice).to.be.true;
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationSpy.restore();
+    });
+  });
+
+
+  describe('Import Users', function () {
+    let User;
+    const confirmedAt = new Date('2016-03-10T08:00:00Z');
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Confirmable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should preserve confirmation time of imported users', function (done) {
+      const email = faker.internet.email().toLowerCase();
+      Utils
+        .hash(faker.internet.password(), 4)
+        .then(password => User.importUsers([{ email, password, confirmedAt }]))
+        .then(() => User.findOne({ email }).exec())
+        .then(confirmable => {
+          expect(confirmable.confirmedAt.getTime()).to.equal(confirmedAt.getTime());
+          done();
+        });
+    });
+
+    it('should mark imported users as confirmed', function (done) {
+      const email = faker.internet.email().toLowerCase();
+      Utils
+        .hash(faker.internet.password(), 4)
+        .then(password => User.importUsers([{ email, password }], { confirmed: true }))
+        .then(() => User.findOne({ email }).exec())
+        .then(confirmable => {
+          expect(confirmable.confirmedAt).to.exist;
+          done();
+        });
+    });
+  });
 });
\ No newline at end of file
@@ -10,6 +10,14 @@ const Authenticable = require(path.join(__dirname, 'authenticable'));
 const Recoverable = require(path.join(__dirname, 'recoverable'));
 const Registerable = require(path.join(__dirname, 'registerable'));
 const Confirmable = require(path.join(__dirname, 'confirmable'));
+const Lockable = require(path.join(__dirname, 'lockable'));
+const Trackable = require(path.join(__dirname, 'trackable'));
+const TwoFactorable = require(path.join(__dirname, 'twofactorable'));
+const Passwordless = require(path.join(__dirname, 'passwordless'));
+const Tokenable = require(path.join(__dirname, 'tokenable'));
+const Sessionable = require(path.join(__dirname, 'sessionable'));
+const Rememberable = require(path.join(__dirname, 'rememberable'));
+const Timeoutable = require(path.join(__dirname, 'timeoutable'));
 
 /**
  * @function
@@ -22,12 +30,33 @@ module.exports = function Jabali(schema, opts) {
     //prepare common options
     const options = Object.assign({}, opts);
 
+    // share token secret with modules which persist tokens unless they
+    // have their own
+    const withTokenSecret = moduleOptions => options.token_secret ?
+        Object.assign({ token_secret: options.token_secret }, moduleOptions) : moduleOptions;
+
     // default module, registerable
     Registerable.call(null, schema, options.registerable);
     // authenticable module
     Authenticable.call(null, schema, options.authenticable);
     // confirmable module
-    Confirmable.call(null, schema, options.confirmable);
+    Confirmable.call(null, schema, withTokenSecret(options.confirmable));
     // recoverable module
-    Recoverable.call(null, schema, options.recoverable);
+    Recoverable.call(null, schema, withTokenSecret(options.recoverable));
+    // lockable module
+    Lockable.call(null, schema, withTokenSecret(options.lockable));
+    // trackable module
+    Trackable.call(null, schema, options.trackable);
+    // twofactorable module
+    TwoFactorable.call(null, schema, options.twofactorable);
+    // passwordless module
+    Passwordless.call(null, schema, withTokenSecret(options.passwordless));
+    // tokenable module
+    Tokenable.call(null, schema, options.tokenable);
+    // sessionable module
+    Sessionable.call(null, schema, options.sessionable);
+    // rememberable module
+    Rememberable.call(null, schema, options.rememberable);
+    // timeoutable module
+    Timeoutable.call(null, schema, options.timeoutable);
 };
\ No newline at end of file
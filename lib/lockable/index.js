@@ -4,6 +4,8 @@
 const path = require('path');
 const Utils = require(path.join(__dirname, '..', 'utils'));
 const randomize = require('randomatic');
+const deepmerge = require('deepmerge');
+const createError = require('http-errors');
 
 /**
  * @constructor
@@ -14,11 +16,35 @@ const randomize = require('randomatic');
  *
  *              See {@link http://www.rubydoc.info/github/plataformatec/devise/master/Devise/Models/Lockable|Lockable}
  *
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Lockable options
+ * @param {boolean} opts.enabled - whether failed authentication attempts should lock the account
+ * @param {number} opts.maximum_attempts - number of failed attempts allowed before the account is locked
+ * @param {number} opts.token_life - number of days before unlock token expire
+ * @param {string} opts.unlock_strategy - how locked account get unlocked, one of
+ * `token`(unlock token sent to the account owner), `time`(automatic unlock after
+ * `unlock_in` hours), `both` or `none`(only unlocked manually using `unlockAccess`)
+ * @param {number} opts.unlock_in - number of hours after which locked account
+ * is automatically unlocked when time unlock strategy is in use
+ * @param {string} opts.token_secret - when set only keyed hash of unlock token is persisted
  * @public
  */
-module.exports = exports = function Lockable(schema, options) {
+module.exports = exports = function Lockable(schema, opts = {}) {
+    // init defaults
+    const defaults = {
+        enabled: false,
+        maximum_attempts: 5,
+        token_life: 1,
+        unlock_strategy: 'token',
+        unlock_in: 1
+    };
+
     //prepare options
-    options = options || {};
+    const options = deepmerge(defaults, opts);
+
+    // check if unlock strategy in use allow the given strategy
+    const unlockStrategyEnabled = strategy =>
+        [strategy, 'both'].includes(options.unlock_strategy);
 
     //add lockable schema fields
     schema.add({
@@ -56,6 +82,32 @@ module.exports = exports = function Lockable(schema, options) {
         }
     });
 
+    // contribute locking details to exported personal data
+    Utils.addPersonalDataSection(schema, 'locking', lockable => Utils
+        .pickPaths(lockable, ['failedAttempts', 'lockedAt', 'unlockedAt', 'unlockSentAt']));
+
+    /**
+     * set new unlock token on the account
+     * @param {Object} lockable - account to set token on
+     * @return {String} - plain unlock token
+     * @private
+     */
+    const issueUnlockToken = function (lockable) {
+        //set unlock expiration date
+        const unlockTokenExpiryAt = Utils.addDays(options.token_life);
+
+        //set unlockToken
+        const token = randomize('0', 6);
+        lockable.unlockToken = Utils.protectToken(token, options.token_secret);
+
+        //set unlock token expiry date
+        lockable.unlockTokenExpiryAt = unlockTokenExpiryAt;
+
+        //clear previous unlock details if any
+        lockable.unlockedAt = null;
+        return token;
+    };
+
     //--------------------------------------------------------------------------
     //lockable instance methods
     //--------------------------------------------------------------------------
@@ -72,18 +124,7 @@ module.exports = exports = function Lockable(schema, options) {
     schema.methods.generateUnlockToken = function () {
         //this context is of model instance
         const lockable = this;
-
-        //set unlock expiration date
-        const unlockTokenExpiryAt = Utils.addDays(options.lockable.tokenLifeSpan);
-
-        //set unlockToken
-        lockable.unlockToken = randomize('0', 6);
-
-        //set unlock token expiry date
-        lockable.unlockTokenExpiryAt = unlockTokenExpiryAt;
-
-        //clear previous unlock details if any
-        lockable.unlockedAt = null;
+        issueUnlockToken(lockable);
         return lockable;
 
     };
@@ -94,15 +135,15 @@ module.exports = exports = function Lockable(schema, options) {
      * 
      * Model instance method used to send out notification 
      * to allow account to be unlocked.
-     * Note:
-     * This function assume the unlockToken exist and it's
-     * not expired. So don't use it if you're not sure that the 
-     * afore mentioned assumption hold.
+     * If the unlock token has expired or only its hash is known, new one is
+     * generated prior to send out the notification.
+     * Plain token is passed to the notification hook as `{ token }`.
      *
+     * @param {String} [token] - plain unlock token just issued
      * @return {Promise} resolve with lockable or reject with error
      * @private
      */
-    schema.methods.sendUnLock = function () {
+    schema.methods.sendUnLock = function (token) {
         //this refer to model instance context
         const lockable = this;
 
@@ -117,17 +158,21 @@ module.exports = exports = function Lockable(schema, options) {
         //check if unlock token expired
         const isUnlockTokenExpired = !Utils.isAfter(new Date(), lockable.unlockTokenExpiryAt);
 
-        if (!isUnlockTokenExpired) {
-            // is locked and unlock token is expired 
-            lockable.generateUnlockToken();
+        const isUnlockTokenUnknown = !token && options.token_secret;
+
+        if (isUnlockTokenExpired || isUnlockTokenUnknown) {
+            // unlock token is expired, regenerate new one
+            token = issueUnlockToken(lockable);
         }
 
         //send unlock instructions
         return lockable
-            .send('Account recovery', lockable)
+            .sendJabaliNotification('UNLOCK_INSTRUCTIONS', lockable, {
+                token: token || lockable.unlockToken
+            })
             .then(() => {
                 //update unlock token send time
-                lockable.unlockTokenSentAt = new Date();
+                lockable.unlockSentAt = new Date();
                 //save lockable instance
                 return lockable.save();
             });
@@ -140,7 +185,10 @@ module.exports = exports = function Lockable(schema, options) {
      * Model instance method to lock the instance after maximum 
      * allowed failed attempts reached. This function lock the
      * instance and immediately send the unlock instruction to the
-     * account owner. 
+     * account owner when token unlock strategy is in use. Lock and unlock
+     * token are saved before sending, so the account stay locked with a
+     * valid unlock token even when sending fails, in which case instructions
+     * can be sent again using `sendUnLock`.
      *
      * @return {Promise} resolve with lockable or reject with error
      * @private
@@ -148,16 +196,83 @@ module.exports = exports = function Lockable(schema, options) {
     schema.methods.lock = function () {
         //this refer to model instance context
         const lockable = this;
-        if (options.lockable.enabled) {
+        if (options.enabled) {
             lockable.lockedAt = new Date();
-            //generate unlock token
-            return lockable.generateUnlockToken().sendUnLock();
+            if (!unlockStrategyEnabled('token')) {
+                // no unlock instructions to send
+                return lockable.save();
+            }
+            //generate unlock token and persist it along with the lock
+            const token = issueUnlockToken(lockable);
+            return lockable
+                .save()
+                .then(lockable => lockable
+                    .sendUnLock(token)
+                    // failed send must not prevent locking
+                    .catch(() => lockable));
         } else {
             return Promise.resolve(lockable);
         }
     };
 
 
+    /**
+     * @function
+     *
+     * Model instance method called by authenticable when wrong password is
+     * supplied. It atomically increment failed attempts and lock the account
+     * once maximum allowed attempts is reached. Counting is done on the
+     * database so concurrent authentication attempts are all accounted for
+     * and only one of them lock the account.
+     *
+     * @return {Promise} resolve with the up to date lockable or reject with error
+     * @private
+     */
+    schema.methods.registerFailedAttempt = function () {
+        //this refer to model instance context
+        const lockable = this;
+        const Lockable = lockable.constructor;
+
+        if (!options.enabled) {
+            return Promise.resolve(lockable);
+        }
+
+        // start counting afresh if previous lock has expired
+        const clearExpiredLock = lockable.isLockExpired() ?
+            Lockable
+                .update(
+                    { _id: lockable._id, lockedAt: lockable.lockedAt },
+                    { $set: { lockedAt: null, failedAttempts: 0, unlockedAt: new Date() } }
+                )
+                .exec() : Promise.resolve();
+
+        return clearExpiredLock
+            .then(() => Lockable
+                .findOneAndUpdate(
+                    { _id: lockable._id },
+                    { $inc: { failedAttempts: 1 } },
+                    { new: true }
+                )
+                .exec())
+            .then(updated => {
+                const attemptsExceeded =
+                    updated.failedAttempts >= options.maximum_attempts;
+                if (!attemptsExceeded || updated.isLocked()) {
+                    return updated;
+                }
+                // claim the lock so that only one concurrent attempt
+                // lock the account and send unlock instructions
+                return Lockable
+                    .findOneAndUpdate(
+                        { _id: lockable._id, lockedAt: null },
+                        { $set: { lockedAt: new Date() } },
+                        { new: true }
+                    )
+                    .exec()
+                    .then(locked => locked ? locked.lock() : updated);
+            });
+    };
+
 
     /**
      * reset account failed attempts to zero
@@ -170,6 +285,11 @@ module.exports = exports = function Lockable(schema, options) {
 
         //clear previous failed attempts
         lockable.failedAttempts = 0;
+        if (lockable.isLockExpired()) {
+            // clear expired lock
+            lockable.lockedAt = null;
+            lockable.unlockedAt = new Date();
+        }
         //save lockable instance
         //and return it
         return lockable.save();
@@ -179,15 +299,32 @@ module.exports = exports = function Lockable(schema, options) {
     /**
      * @function
      *
-     * @description Check if account is locked by using the below flow:
-     *              1. If not locked continue.
-     *              2. If locked and lock token not expired throw
-     *                  `Account locked. Check your email for unlock instructions`
-     *              3. If locked and lock token expired
-     *                 generate unlock token, send it and throw
-     *                 `Account locked. Check your email for unlock instructions`
+     * @description Check if account lock has expired. Lock expire only when
+     *              time unlock strategy is in use and `unlock_in` hours has
+     *              elapsed since the account was locked.
      *
-     * @return Promise resolve with lockable when account is not locked or reject with error
+     * @return {Boolean} true if account was locked and lock has expired
+     * @private
+     */
+    schema.methods.isLockExpired = function () {
+        //this context is of model instance
+        const lockable = this;
+
+        if (!lockable.lockedAt || !unlockStrategyEnabled('time')) {
+            return false;
+        }
+        const unlockAt = Utils.addHours(options.unlock_in, lockable.lockedAt);
+        return !Utils.isAfter(new Date(), unlockAt);
+    };
+
+
+    /**
+     * @function
+     *
+     * @description Check if account is locked. Account whose lock has
+     *              expired is not considered locked.
+     *
+     * @return {Boolean} true if account is locked
      * @private
      */
     schema.methods.isLocked = function () {
@@ -197,7 +334,59 @@ module.exports = exports = function Lockable(schema, options) {
         //check if already locked
         const isLocked =
             lockable.lockedAt && lockable.lockedAt !== null;
-        return isLocked;
+        return !!isLocked && !lockable.isLockExpired();
+    };
+
+
+    /**
+     * @function
+     *
+     * @description Message explaining to the account owner how locked
+     *              account can be unlocked based on unlock strategy in use.
+     *
+     * @return {String} locked account message
+     * @private
+     */
+    schema.methods.lockedAccountMessage = function () {
+        if (unlockStrategyEnabled('token')) {
+            return 'Account locked. Check unlock instructions sent to you.';
+        }
+        if (unlockStrategyEnabled('time')) {
+            return 'Account locked. Try again later.';
+        }
+        return 'Account locked. Contact support to unlock it.';
+    };
+
+
+    /**
+     * @function
+     *
+     * @description Unlock the account regardless of unlock strategy in use.
+     *              This is how locked account get unlocked when unlock
+     *              strategy is `none` e.g by an administrator.
+     *
+     * @return {Promise} resolve with lockable or reject with error
+     * @public
+     */
+    schema.methods.unlockAccess = function () {
+        //this context is of model instance
+        const lockable = this;
+
+        //update unlock details
+        lockable.unlockedAt = new Date();
+
+        //clear failed attempts
+        lockable.failedAttempts = 0;
+
+        //clear lockedAt
+        lockable.lockedAt = null;
+
+        //clear unlock token
+        lockable.unlockToken = null;
+        lockable.unlockTokenExpiryAt = null;
+
+        //save lockable instance
+        return lockable.save();
     };
 
 
@@ -209,10 +398,12 @@ module.exports = exports = function Lockable(schema, options) {
     /**
      * @function
      *
-     * @description unlock locked account
+     * @description unlock locked account using unlock token. Only available
+     *              when token unlock strategy is in use.
      *              This  function must be called within model static context
      * @param {String} unlockToken - Unlock token
      * @param {String} email - Email of the locked account
+     * @param {String} phone - Phone number of the locked account
      * 
      * @private
      */
@@ -223,22 +414,24 @@ module.exports = exports = function Lockable(schema, options) {
             // unlockToken or email & phone not specified
             return Promise.reject(new Error('Invalid unlock details'));
         }
+        if (!unlockStrategyEnabled('token')) {
+            return Promise.reject(createError(400, 'Unlock using token is not allowed'));
+        }
         const criteria = {};
         if (email) {
             criteria.email = email.toLowerCase();
         }
         if (phone) {
-            criteria.phone = phone
+            criteria.phoneNumber = phone
         }
-        const token = new RegExp(unlockToken, 'i');
-        criteria.unlockToken = { $regex: token };
-        //find lockable using unlock token
+        //find lockable and verify unlock token
         return Lockable
             .findOne(criteria)
             .exec()
             .then(lockable => {
-                //any lockable found?
-                const lockableNotExist = (lockable === undefined || lockable === null);
+                //any lockable found with matching unlock token?
+                const lockableNotExist = (lockable === undefined || lockable === null) ||
+                    !Utils.verifyToken(unlockToken, lockable.unlockToken, options.token_secret);
 
                 if (lockableNotExist) {
                     const error = new Error('Invalid unlock token');
@@ -255,17 +448,7 @@ module.exports = exports = function Lockable(schema, options) {
                     const error = new Error('Unlock token expired');
                     throw error;
                 }
-                //update unlock details
-                lockable.unlockedAt = new Date();
-
-                //clear failed attempts
-                lockable.failedAttempts = 0;
-
-                //clear lockedAt
-                lockable.lockedAt = null;
-
-                //save lockable instance
-                return lockable.save();
+                return lockable.unlockAccess();
             });
     };
 };
\ No newline at end of file
@@ -5,27 +5,25 @@ const faker = require('faker');
 const path = require('path');
 const mongoose = require('mongoose');
 const expect = require('chai').expect;
+const sinon = require('sinon');
 const Schema = mongoose.Schema;
-const irina = require(path.join(__dirname, '..', 'index'));
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Lockable = require(path.join(__dirname, 'index'));
+const jabali = require(path.join(__dirname, '..', 'index'));
 
 
-describe.skip('Lockable', function () {
+describe('Lockable', function () {
 
     describe('Lockable Path', function () {
         let User;
         before(function () {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                }
-            });
-
+            UserSchema.plugin(jabali);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
         });
 
         it('should have lockable attributes', function () {
-
             expect(User.schema.paths.failedAttempts).to.exist;
             expect(User.schema.paths.lockedAt).to.exist;
             expect(User.schema.paths.unlockedAt).to.exist;
@@ -40,12 +38,8 @@ describe.skip('Lockable', function () {
         let User;
         before(function () {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                }
-            });
-
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Lockable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
         });
 
@@ -62,20 +56,20 @@ describe.skip('Lockable', function () {
     });
 
 
-
     describe('Send Unlock Instructions', function () {
         let User;
+        let sendNotificationSpy;
         before(function () {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                }
-            });
-
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Lockable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
         });
 
+        before(function () {
+            sendNotificationSpy = sinon.spy(User.prototype, 'sendJabaliNotification');
+        });
+
         it('should be able to send unlock instructions', function (done) {
             const user = new User({
                 email: faker.internet.email(),
@@ -85,39 +79,31 @@ describe.skip('Lockable', function () {
             user
                 .sendUnLock()
                 .then(lockable => {
-                    expect(lockable.unlockTokenSentAt).to.not.be.null;
+                    expect(lockable.unlockToken).to.not.be.null;
+                    expect(lockable.unlockSentAt).to.not.be.null;
+                    expect(sendNotificationSpy.calledWith('UNLOCK_INSTRUCTIONS')).to.be.true;
                     done();
                 });
         });
-    });
 
+        after(function () {
+            sendNotificationSpy.restore();
+        });
+    });
 
 
     describe('Lock Account', function () {
         let LUser, User;
         before(function () {
             const UserLockableSchema = new Schema({});
-
-            UserLockableSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                },
-                lockable: {
-                    enabled: true
-                }
-            });
-
+            UserLockableSchema.plugin(Registerable);
+            UserLockableSchema.plugin(Lockable, { enabled: true });
             LUser = mongoose.model(`User+${faker.random.number()}`, UserLockableSchema);
 
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                }
-            });
-
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Lockable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
-
         });
 
         it('should be able to lock account', function (done) {
@@ -131,12 +117,13 @@ describe.skip('Lockable', function () {
                 .lock()
                 .then(lockable => {
                     expect(lockable.lockedAt).to.not.be.null;
+                    expect(lockable.isLocked()).to.be.true;
                     done();
                 });
         });
 
 
-        it('should fail to lock account user with lockable.enabled false promise style', function (done) {
+        it('should fail to lock account when lockable is not enabled', function (done) {
             const user = new User({
                 email: faker.internet.email(),
                 password: faker.internet.password(),
@@ -147,70 +134,22 @@ describe.skip('Lockable', function () {
                 .lock()
                 .then(lockable => {
                     expect(lockable.lockedAt).to.be.null;
+                    expect(lockable.isLocked()).to.be.false;
                     done();
                 });
         });
     });
 
 
-    describe('Check if Locked', function () {
-        let LUser, user;
-        before(function () {
-            const UserLockableSchema = new Schema({});
-
-            UserLockableSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                },
-                lockable: {
-                    enabled: true
-                }
-            });
-
-            LUser = mongoose.model(`User+${faker.random.number()}`, UserLockableSchema);
-
-        });
-
-
-        before(function (done) {
-            user = new LUser({
-                email: faker.internet.email(),
-                password: faker.internet.password(),
-                failedAttempts: 5
-            });
-            user
-                .lock()
-                .then(() => {
-                    done();
-                });
-        });
-
-
-        it('should be able to check if account is locked', function () {
-            const isLocked = user.isLocked();
-            expect(isLocked).to.be.true;
-        });
-    });
-
-
     describe('Unlock Account', function () {
         let LUser;
         let unlockToken;
-        const email = faker.internet.email();
+        const email = faker.internet.email().toLowerCase();
         before(function () {
             const UserLockableSchema = new Schema({});
-
-            UserLockableSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                },
-                lockable: {
-                    enabled: true
-                }
-            });
-
+            UserLockableSchema.plugin(Registerable);
+            UserLockableSchema.plugin(Lockable, { enabled: true });
             LUser = mongoose.model(`User+${faker.random.number()}`, UserLockableSchema);
-
         });
 
         before(function (done) {
@@ -219,14 +158,21 @@ describe.skip('Lockable', function () {
                     email,
                     password: faker.internet.password()
                 })
-                .then(lockable => lockable.generateUnlockToken())
-                .then(lockable => lockable.sendUnLock())
+                .then(lockable => lockable.lock())
                 .then(lockable => {
                     unlockToken = lockable.unlockToken;
                     done();
                 });
         });
 
+        it('should fail to unlock account using regular expression token', function (done) {
+            LUser.unlock({ unlockToken: '.*', email })
+                .catch(error => {
+                    expect(error.message).to.equal('Invalid unlock token');
+                    done();
+                });
+        });
+
         it('should be able to unlock account', function (done) {
             LUser.unlock({ unlockToken, email })
                 .then(lockable => {
@@ -239,49 +185,59 @@ describe.skip('Lockable', function () {
     });
 
 
-    describe('Fail to Authenticate Locked Account', function () {
-        let LUser, lockable, credentials;
+    describe('Lock Account on Failed Authentication', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
         before(function () {
-            const UserLockableSchema = new Schema({});
-
-            UserLockableSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                },
-                lockable: {
-                    enabled: true
-                }
-            });
-
-            LUser = mongoose.model(`User+${faker.random.number()}`, UserLockableSchema);
-
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Lockable, { enabled: true, maximum_attempts: 2 });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
         });
 
         before(function (done) {
-            credentials = {
-                email: faker.internet.email(),
-                password: faker.internet.password(),
-                failedAttempts: 5
-            };
+            User
+                .register({ email, password })
+                .then(() => done());
+        });
 
-            LUser
-                .register(credentials)
-                .then(user => {
-                    return user
-                        .lock();
+        it('should count failed authentication attempts', function (done) {
+            User
+                .authenticate(email, faker.internet.password())
+                .catch(error => {
+                    expect(error.name).to.equal('BadRequestError');
+                    return User.findOne({ email }).exec();
                 })
-                .then(_lockable_ => {
-                    lockable = _lockable_;
+                .then(lockable => {
+                    expect(lockable.failedAttempts).to.equal(1);
+                    expect(lockable.isLocked()).to.be.false;
                     done();
                 });
+        });
 
+        it('should lock account when maximum attempts reached', function (done) {
+            User
+                .authenticate(email, faker.internet.password())
+                .catch(error => {
+                    expect(error.name).to.equal('LockedError');
+                    expect(error.statusCode).to.equal(423);
+                    return User.findOne({ email }).exec();
+                })
+                .then(lockable => {
+                    expect(lockable.failedAttempts).to.equal(2);
+                    expect(lockable.isLocked()).to.be.true;
+                    expect(lockable.unlockToken).to.not.be.null;
+                    done();
+                });
         });
 
-        it('should not be able to authenticate registered locked account', function (done) {
-            lockable
-                .authenticate(credentials.password)
+        it('should not be able to authenticate locked account', function (done) {
+            User
+                .authenticate(email, password)
                 .catch(error => {
-                    expect(error).to.exist;
+                    expect(error.statusCode).to.equal(423);
                     expect(error.message)
                         .to.equal('Account locked. Check unlock instructions sent to you.');
                     done();
@@ -290,39 +246,186 @@ describe.skip('Lockable', function () {
     });
 
 
-    describe('Reset Failed Attempts', function () {
-        let User, lockable;
+    describe('Reset Failed Attempts on Authentication', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Lockable, { enabled: true });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password })
+                .then(user => {
+                    user.failedAttempts = 3;
+                    return user.save();
+                })
+                .then(() => done());
+        });
+
+        it('should reset failed attempts after successful authentication', function (done) {
+            User
+                .authenticate(email, password)
+                .then(lockable => {
+                    expect(lockable.failedAttempts).to.equal(0);
+                    done();
+                });
+        });
+    });
+
+
+    describe('Time Unlock Strategy', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
         before(function () {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina, {
-                registerable: {
-                    autoConfirm: true
-                }
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Lockable, {
+                enabled: true,
+                unlock_strategy: 'time',
+                unlock_in: 1
             });
-
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
         });
 
         before(function (done) {
-            const user = new User({
-                email: faker.internet.email(),
-                password: faker.internet.password(),
-                failedAttempts: 5
+            User
+                .register({ email, password })
+                .then(user => user.lock())
+                .then(() => done());
+        });
+
+        it('should not send unlock token', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(lockable => {
+                    expect(lockable.isLocked()).to.be.true;
+                    expect(lockable.unlockToken).to.be.null;
+                    done();
+                });
+        });
+
+        it('should not be able to authenticate before lock expire', function (done) {
+            User
+                .authenticate(email, password)
+                .catch(error => {
+                    expect(error.statusCode).to.equal(423);
+                    expect(error.message).to.equal('Account locked. Try again later.');
+                    done();
+                });
+        });
+
+        it('should be able to authenticate after lock expire', function (done) {
+            const lockedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+            User
+                .update({ email }, { $set: { lockedAt, failedAttempts: 5 } })
+                .exec()
+                .then(() => User.authenticate(email, password))
+                .then(lockable => {
+                    expect(lockable.isLocked()).to.be.false;
+                    expect(lockable.lockedAt).to.be.null;
+                    expect(lockable.failedAttempts).to.equal(0);
+                    done();
+                });
+        });
+    });
+
+
+    describe('None Unlock Strategy', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Lockable, {
+                enabled: true,
+                unlock_strategy: 'none'
             });
-            user
-                .save()
-                .then(() => {
-                    lockable = user;
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password: faker.internet.password() })
+                .then(user => user.lock())
+                .then(() => done());
+        });
+
+        it('should fail to unlock account using token', function (done) {
+            User
+                .unlock({ unlockToken: '123456', email })
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
                     done();
                 });
         });
 
-        it('should be able to reset failed attempts', function (done) {
-            lockable.resetFailedAttempts()
+        it('should be able to unlock account manually', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(lockable => {
+                    expect(lockable.isLocked()).to.be.true;
+                    return lockable.unlockAccess();
+                })
                 .then(lockable => {
-                    expect(lockable.failedAttempts).to.be.equal(0);
+                    expect(lockable.isLocked()).to.be.false;
+                    expect(lockable.unlockedAt).to.not.be.null;
                     done();
                 });
         });
     });
+
+
+    describe('Lock Account When Unlock Instructions Fail', function () {
+        let User;
+        let sendNotificationStub;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Lockable, { enabled: true, maximum_attempts: 1 });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            sendNotificationStub = sinon
+                .stub(User.prototype, 'sendJabaliNotification')
+                .returns(Promise.reject(new Error('Notification failed')));
+            User
+                .register({ email, password })
+                .then(() => done());
+        });
+
+        it('should lock account with saved unlock token', function (done) {
+            User
+                .authenticate(email, faker.internet.password())
+                .catch(error => {
+                    expect(error.statusCode).to.equal(423);
+                    return User.findOne({ email }).exec();
+                })
+                .then(lockable => {
+                    expect(sendNotificationStub.calledWith('UNLOCK_INSTRUCTIONS')).to.be.true;
+                    expect(lockable.isLocked()).to.be.true;
+                    expect(lockable.unlockToken).to.not.be.null;
+                    expect(lockable.unlockTokenExpiryAt).to.not.be.null;
+                    expect(lockable.unlockSentAt).to.be.null;
+                    done();
+                });
+        });
+
+        after(function () {
+            sendNotificationStub.restore();
+        });
+    });
 });
@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * @file
+ * @name Passwordless
+ * Passwordless is responsible to authenticate account using short lived one
+ * time login code sent to the account email or phone number, or single use
+ * magic link sent to the account email instead of password.
+ * It extends mongoose schema by adding the followings
+ *  + loginCode
+ *  + loginCodeExpiryAt
+ *  + loginCodeSentAt
+ *  + loginCodeAttempts
+ *  + loginCodeLastSentAt
+ *  + loginCodeSendCount
+ *  + magicLinkToken
+ *  + magicLinkExpiryAt
+ *  + magicLinkSentAt
+ *  + magicLinkRedirect
+ *  + magicLinkLastSentAt
+ *  + magicLinkSendCount
+ */
+
+//dependencies
+const path = require('path');
+const crypto = require('crypto');
+const randomize = require('randomatic');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const validator = require('validator');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Passwordless options
+ * @param {number} opts.code_life - number of minutes before login code expire
+ * @param {number} opts.link_life - number of minutes before magic link expire
+ * @param {string} opts.token_secret - when set only keyed hash of login code is persisted
+ * @param {number} opts.max_token_attempts - number of wrong guesses before
+ * login code is invalidated
+ * @param {number} opts.resend_cooldown - number of seconds to wait before
+ * login code or magic link can be requested again
+ * @param {number} opts.max_sends_per_day - number of times login code or
+ * magic link can be sent in a day
+ */
+function Passwordless(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    // the time it will take before the login code become invalid
+    code_life: 10,
+    // the time it will take before the magic link become invalid
+    link_life: 15,
+    // number of wrong guesses allowed before login code is invalidated
+    max_token_attempts: 5,
+    // the time to wait before login code or magic link can be requested again
+    resend_cooldown: 0,
+    // maximum login codes or magic links sent in a day, unlimited if not set
+    max_sends_per_day: 0
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  // passwordless schema fields
+  const fields = {
+    // one time login code
+    loginCode: {
+      type: String,
+      default: null,
+      hide: true
+    },
+    // the time login code get expired
+    loginCodeExpiryAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // the time login code created(not sent)
+    loginCodeSentAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // number of wrong guesses of current login code
+    loginCodeAttempts: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // the time login code was last sent
+    loginCodeLastSentAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // number of login codes sent on the day of last send
+    loginCodeSendCount: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // digest of magic link token
+    magicLinkToken: {
+      type: String,
+      default: null,
+      index: true,
+      hide: true
+    },
+    // the time magic link get expired
+    magicLinkExpiryAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // the time magic link created(not sent)
+    magicLinkSentAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // where to take the account owner after consuming magic link
+    magicLinkRedirect: {
+      type: String,
+      default: null,
+      hide: true
+    },
+    // the time magic link was last sent
+    magicLinkLastSentAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // number of magic links sent on the day of last send
+    magicLinkSendCount: {
+      type: Number,
+      default: 0,
+      hide: true
+    }
+  };
+  // add new fields into the schema
+  schema.add(fields);
+
+  // contribute passwordless sign in details to exported personal data
+  Utils.addPersonalDataSection(schema, 'passwordless', passwordless => Utils
+    .pickPaths(passwordless, ['loginCodeSentAt', 'magicLinkSentAt']));
+
+  // fields tracking login code and magic link sends
+  const loginCodeSendPaths = { sentAt: 'loginCodeLastSentAt', count: 'loginCodeSendCount' };
+  const magicLinkSendPaths = { sentAt: 'magicLinkLastSentAt', count: 'magicLinkSendCount' };
+
+  /**
+   * build error rejecting send requested before limits allow it
+   * @param {String} message - error message
+   * @param {Number} retryAfter - number of seconds to wait
+   * @return {Error} - `429 Too Many Requests` error
+   * @private
+   */
+  const tooManyRequests = function (message, retryAfter) {
+    return createError(429, message, {
+      retryAfter,
+      headers: { 'Retry-After': String(retryAfter) }
+    });
+  };
+
+  /**
+   * build criteria to find account by username
+   * @param {String} username - Email or phone number
+   * @return {Object} - criteria or undefined if username is not a string
+   * @private
+   */
+  const usernameCriteria = function (username) {
+    if (typeof username !== 'string' || !username) {
+      return undefined;
+    }
+    if (validator.isEmail(username)) {
+      return { email: username.toLowerCase() };
+    }
+    return { phoneNumber: username };
+  };
+
+  //--------------------------------------------------------------------------
+  // passwordless instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Generate one time login code. Unless `token_secret` option is set, login
+   * code is persisted as is, either way the plain code returned has to be
+   * sent out right away.
+   *
+   * @return {String} - plain login code
+   * @private
+   */
+  schema.methods.generateLoginCode = function () {
+    //this context is of model instance
+    const passwordless = this;
+
+    // set login code
+    const code = randomize('0', 6);
+    passwordless.loginCode = Utils.protectToken(code, options.token_secret);
+    //set login code expiry date
+    passwordless.loginCodeExpiryAt = Utils.addMinutes(options.code_life);
+    //update login code creation time
+    passwordless.loginCodeSentAt = new Date();
+    //reset wrong guesses of previous code
+    passwordless.loginCodeAttempts = 0;
+    return code;
+  };
+
+  /**
+   * @function
+   * Generate magic link token. Only token digest is persisted so the plain
+   * token returned has to be sent out right away.
+   *
+   * @param {String} [redirect] - where to take the account owner after
+   * consuming magic link
+   * @return {String} - plain magic link token
+   * @private
+   */
+  schema.methods.generateMagicLinkToken = function (redirect) {
+    //this context is of model instance
+    const passwordless = this;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    // set magic link token digest
+    passwordless.magicLinkToken = Utils.digest(token);
+    //set magic link expiry date
+    passwordless.magicLinkExpiryAt = Utils.addMinutes(options.link_life);
+    //update magic link creation time
+    passwordless.magicLinkSentAt = new Date();
+    passwordless.magicLinkRedirect = redirect || null;
+    return token;
+  };
+
+  //--------------------------------------------------------------------------
+  // passwordless static methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Issue login code to the account and send it out through `LOGIN_CODE`
+   * notification. Plain code is passed to the notification hook as `{ code }`.
+   * Requests made before `resend_cooldown` seconds have passed since last
+   * send or after `max_sends_per_day` is reached are rejected with
+   * `429 Too Many Requests` error whose `retryAfter` is the number of seconds
+   * to wait. Unknown username is not reported, nothing is sent and it
+   * resolve with null so that response does not reveal whether the account
+   * exist.
+   *
+   * @param {String} username - Email or phone number
+   * @return {Promise} - resolve with passwordless, null for unknown username,
+   * or reject with error
+   * @public
+   */
+  schema.statics.requestLoginCode = function (username) {
+    //this refer to model static context
+    const Passwordless = this;
+    const credential = usernameCriteria(username);
+    if (!credential) {
+      return Promise.reject(createError(400, 'Invalid username'));
+    }
+
+    return Passwordless
+      .findOne(credential)
+      .exec()
+      .then(passwordless => {
+        if (!passwordless) {
+          // do not reveal whether the account exist
+          return null;
+        }
+        return Utils
+          .claimSend(Passwordless, passwordless, loginCodeSendPaths, options)
+          .then(retryAfter => {
+            if (retryAfter) {
+              throw tooManyRequests('Login code already sent. Try again later', retryAfter);
+            }
+            const code = passwordless.generateLoginCode();
+            return passwordless
+              .save()
+              .then(passwordless => passwordless
+                .sendJabaliNotification('LOGIN_CODE', passwordless, { code }))
+              .then(() => passwordless);
+          });
+      });
+  };
+
+
+  /**
+   * @function
+   * Authenticate account using login code sent through `requestLoginCode`.
+   * Lockable and confirmable checks apply as in password authentication and
+   * wrong codes count as failed attempts. Login code is invalidated after
+   * `max_token_attempts` wrong guesses and authentication is rejected with
+   * `410 Gone` error until new code is requested. Unknown username is
+   * rejected the same way as wrong code. When account requires second factor,
+   * it resolve with second factor challenge instead of the account.
+   *
+   * @param {String} username - Email or phone number
+   * @param {String} code - login code
+   * @param {Object} [context] - details of the authentication request
+   * @return {Promise} - resolve with passwordless or reject with error
+   * @public
+   */
+  schema.statics.authenticateWithCode = function (username, code, context = {}) {
+    //this refer to model static context
+    const Passwordless = this;
+    const credential = usernameCriteria(username);
+    if (!credential || typeof code !== 'string' || !code) {
+      return Promise.reject(createError(400, 'Invalid authentication data'));
+    }
+
+    const invalidated = () =>
+      new createError(410, 'Login code invalidated. Request a new one');
+
+    return Passwordless
+      .findOne(credential)
+      .exec()
+      .then(passwordless => {
+        if (!passwordless) {
+          // do not reveal whether the account exist
+          throw new createError(400, 'Invalid login code');
+        }
+        if (passwordless.loginCodeAttempts >= options.max_token_attempts) {
+          throw invalidated();
+        }
+        const match = Utils.verifyToken(code, passwordless.loginCode, options.token_secret);
+        if (!match) {
+          const paths = {
+            token: 'loginCode',
+            expiry: 'loginCodeExpiryAt',
+            attempts: 'loginCodeAttempts'
+          };
+          return Utils
+            .registerTokenAttempt(Passwordless, passwordless, paths, options.max_token_attempts)
+            .then(isInvalidated => passwordless
+              .registerFailedAuthentication('bad_login_code', context)
+              .then(passwordless => {
+                if (passwordless.isLocked && passwordless.isLocked()) {
+                  throw new createError(423, passwordless.lockedAccountMessage());
+                }
+                if (isInvalidated) {
+                  throw invalidated();
+                }
+                throw new createError(400, 'Invalid login code');
+              }));
+        }
+        //check if login code expired
+        const isCodeExpired = !Utils.isAfter(new Date(), passwordless.loginCodeExpiryAt);
+        if (isCodeExpired) {
+          throw new createError(400, 'Login code expired');
+        }
+        return passwordless.checkAuthenticationBlock(context);
+      })
+      .then(passwordless => Passwordless
+        // login code is single use, burn it atomically so that concurrent
+        // requests can not use the same code
+        .findOneAndUpdate(
+          { _id: passwordless._id, loginCode: passwordless.loginCode },
+          { $set: { loginCode: null, loginCodeExpiryAt: null, loginCodeAttempts: 0 } },
+          { new: true }
+        )
+        .exec())
+      .then(passwordless => {
+        if (!passwordless) {
+          throw new createError(400, 'Invalid login code');
+        }
+        if (passwordless.requiresSecondFactor && passwordless.requiresSecondFactor()) {
+          // defer authentication completion to second factor verification
+          return passwordless.createSecondFactorChallenge();
+        }
+        return passwordless.completeAuthentication(context);
+      });
+  };
+
+
+  /**
+   * @function
+   * Issue single use magic link token to the account and send it out through
+   * `MAGIC_LINK` notification. Since only token digest is persisted, the
+   * plain token is passed to the notification hook as third parameter
+   * together with redirect i.e `{ token, redirect }`. Send limits and
+   * unknown account handling are as in `requestLoginCode`.
+   *
+   * @param {String} email - account email
+   * @param {Object} [linkOptions] - magic link options
+   * @param {String} [linkOptions.redirect] - where to take the account owner
+   * after consuming magic link
+   * @return {Promise} - resolve with passwordless, null for unknown email, or
+   * reject with error
+   * @public
+   */
+  schema.statics.requestMagicLink = function (email, { redirect } = {}) {
+    //this refer to model static context
+    const Passwordless = this;
+    if (typeof email !== 'string' || !validator.isEmail(email)) {
+      return Promise.reject(createError(400, 'Invalid email'));
+    }
+
+    return Passwordless
+      .findOne({ email: email.toLowerCase() })
+      .exec()
+      .then(passwordless => {
+        if (!passwordless) {
+          // do not reveal whether the account exist
+          return null;
+        }
+        return Utils
+          .claimSend(Passwordless, passwordless, magicLinkSendPaths, options)
+          .then(retryAfter => {
+            if (retryAfter) {
+              throw tooManyRequests('Magic link already sent. Try again later', retryAfter);
+            }
+            const token = passwordless.generateMagicLinkToken(redirect);
+            return passwordless
+              .save()
+              .then(passwordless => passwordless
+                .sendJabaliNotification('MAGIC_LINK', passwordless, { token, redirect }))
+              .then(() => passwordless);
+          });
+      });
+  };
+
+
+  /**
+   * @function
+   * Authenticate account using magic link token sent through
+   * `requestMagicLink`. The token is burnt on first use even if
+   * authentication is later blocked. Lockable and confirmable checks apply as
+   * in password authentication. When account requires second factor, it
+   * resolve with second factor challenge instead of the account.
+   * Redirect requested with the magic link remain available on the account
+   * as `magicLinkRedirect`.
+   *
+   * @param {String} token - magic link token
+   * @param {Object} [context] - details of the authentication request
+   * @return {Promise} - resolve with passwordless or reject with error
+   * @public
+   */
+  schema.statics.consumeMagicLink = function (token, context = {}) {
+    //this refer to model static context
+    const Passwordless = this;
+    if (!token) {
+      return Promise.reject(createError(400, 'Invalid magic link'));
+    }
+
+    return Passwordless
+      // burn magic link atomically so that it authenticate exactly once
+      .findOneAndUpdate(
+        { magicLinkToken: Utils.digest(token) },
+        { $set: { magicLinkToken: null } }
+      )
+      .exec()
+      .then(passwordless => {
+        if (!passwordless) {
+          throw new createError(400, 'Invalid magic link');
+        }
+        //check if magic link expired
+        const isLinkExpired = !Utils.isAfter(new Date(), passwordless.magicLinkExpiryAt);
+        if (isLinkExpired) {
+          throw new createError(400, 'Magic link expired');
+        }
+        passwordless.magicLinkToken = null;
+        passwordless.magicLinkExpiryAt = null;
+        return passwordless.save();
+      })
+      .then(passwordless => passwordless.checkAuthenticationBlock(context))
+      .then(passwordless => {
+        if (passwordless.requiresSecondFactor && passwordless.requiresSecondFactor()) {
+          // defer authentication completion to second factor verification
+          return passwordless.createSecondFactorChallenge();
+        }
+        return passwordless.completeAuthentication(context);
+      });
+  };
+}
+
+
+// export module
+module.exports = Passwordless;
@@ -0,0 +1,448 @@
+'use strict';
+
+//dependencies
+const faker = require('faker');
+const path = require('path');
+const mongoose = require('mongoose');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Schema = mongoose.Schema;
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Confirmable = require(path.join(__dirname, '..', 'confirmable'));
+const Passwordless = require(path.join(__dirname, 'index'));
+
+
+describe('Passwordless', function () {
+
+  describe('Schema setup', function () {
+    let User;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should have passwordless attributes', function () {
+      expect(User.schema.paths.loginCode).to.exist;
+      expect(User.schema.paths.loginCodeExpiryAt).to.exist;
+      expect(User.schema.paths.loginCodeSentAt).to.exist;
+    });
+  });
+
+
+  describe('Request Login Code', function () {
+    let User;
+    let sendNotificationSpy;
+    const phoneNumber = '+255713829295';
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationSpy = sinon.spy(User.prototype, 'sendJabaliNotification');
+      User
+        .register({ phoneNumber, password: faker.internet.password() })
+        .then(() => done());
+    });
+
+    it('should be able to request login code using phone number', function (done) {
+      User
+        .requestLoginCode(phoneNumber)
+        .then(passwordless => {
+          expect(passwordless.loginCode).to.have.length(6);
+          expect(passwordless.loginCodeExpiryAt).to.not.be.null;
+          expect(sendNotificationSpy.calledWith('LOGIN_CODE')).to.be.true;
+          done();
+        });
+    });
+
+    it('should not reveal unknown username when requesting login code', function (done) {
+      sendNotificationSpy.resetHistory();
+      User
+        .requestLoginCode(faker.internet.email())
+        .then(passwordless => {
+          expect(passwordless).to.be.null;
+          expect(sendNotificationSpy.called).to.be.false;
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationSpy.restore();
+    });
+  });
+
+
+  describe('Authenticate With Code', function () {
+    let User;
+    let code;
+    const email = faker.internet.email().toLowerCase();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => User.requestLoginCode(email))
+        .then(passwordless => {
+          code = passwordless.loginCode;
+          done();
+        });
+    });
+
+    it('should fail to authenticate with invalid code', function (done) {
+      User
+        .authenticateWithCode(email, code === '000000' ? '111111' : '000000')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid login code');
+          done();
+        });
+    });
+
+    it('should be able to authenticate with code', function (done) {
+      User
+        .authenticateWithCode(email, code)
+        .then(passwordless => {
+          expect(passwordless.email).to.equal(email);
+          expect(passwordless.loginCode).to.be.null;
+          done();
+        });
+    });
+
+    it('should not be able to reuse code', function (done) {
+      User
+        .authenticateWithCode(email, code)
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+  });
+
+
+  describe('Login Code Attempts', function () {
+    let User;
+    let code;
+    const email = faker.internet.email().toLowerCase();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Passwordless, { max_token_attempts: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => User.requestLoginCode(email))
+        .then(passwordless => {
+          code = passwordless.loginCode;
+          done();
+        });
+    });
+
+    it('should not reveal unknown username', function (done) {
+      User
+        .authenticateWithCode(faker.internet.email(), code)
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid login code');
+          done();
+        });
+    });
+
+    it('should reject username which is not a string', function (done) {
+      User
+        .authenticateWithCode({ $ne: null }, code)
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    it('should invalidate login code after maximum wrong guesses', function (done) {
+      const wrongCode = code === '000000' ? '111111' : '000000';
+      User
+        .authenticateWithCode(email, wrongCode)
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          return User.authenticateWithCode(email, wrongCode);
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          return User.authenticateWithCode(email, code);
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          return User.findOne({ email }).exec();
+        })
+        .then(passwordless => {
+          expect(passwordless.loginCode).to.be.null;
+          done();
+        });
+    });
+
+    it('should accept new login code after invalidation', function (done) {
+      User
+        .requestLoginCode(email)
+        .then(passwordless => User.authenticateWithCode(email, passwordless.loginCode))
+        .then(passwordless => {
+          expect(passwordless.loginCodeAttempts).to.equal(0);
+          done();
+        });
+    });
+  });
+
+
+  describe('Confirmable Block Code Authentication', function () {
+    let User;
+    let code;
+    const email = faker.internet.email().toLowerCase();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Confirmable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => User.requestLoginCode(email))
+        .then(passwordless => {
+          code = passwordless.loginCode;
+          done();
+        });
+    });
+
+    it('should fail to authenticate unconfirmed account', function (done) {
+      User
+        .authenticateWithCode(email, code)
+        .catch(error => {
+          expect(error.name).to.equal('UnauthorizedError');
+          done();
+        });
+    });
+  });
+
+
+  describe('Password Expiry Block Code Authentication', function () {
+    let User;
+    let code;
+    const email = faker.internet.email().toLowerCase();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(registerable => {
+          registerable.mustChangePassword = true;
+          return registerable.save();
+        })
+        .then(() => User.requestLoginCode(email))
+        .then(passwordless => {
+          code = passwordless.loginCode;
+          done();
+        });
+    });
+
+    it('should fail to authenticate account flagged to change password', function (done) {
+      User
+        .authenticateWithCode(email, code)
+        .catch(error => {
+          expect(error.statusCode).to.equal(403);
+          expect(error.name).to.equal('PasswordExpiredError');
+          done();
+        });
+    });
+  });
+
+
+  describe('Login Code And Magic Link Request Limits', function () {
+    let User;
+    let clock;
+    let sendNotificationStub;
+    const email = faker.internet.email().toLowerCase();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Passwordless, { resend_cooldown: 60, max_sends_per_day: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationStub = sinon
+        .stub(User.prototype, 'sendJabaliNotification')
+        .returns(Promise.resolve());
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => User.requestLoginCode(email))
+        .then(passwordless => {
+          expect(passwordless.loginCodeSendCount).to.equal(1);
+          done();
+        });
+    });
+
+    it('should reject login code request made before cooldown', function (done) {
+      const sends = sendNotificationStub.callCount;
+      User
+        .requestLoginCode(email)
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.retryAfter).to.be.within(1, 60);
+          expect(error.headers['Retry-After']).to.equal(String(error.retryAfter));
+          expect(sendNotificationStub.callCount).to.equal(sends);
+          done();
+        });
+    });
+
+    it('should track magic link sends apart from login code sends', function (done) {
+      User
+        .requestMagicLink(email)
+        .then(passwordless => {
+          expect(passwordless.magicLinkSendCount).to.equal(1);
+          return User.requestMagicLink(email);
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.message).to.equal('Magic link already sent. Try again later');
+          done();
+        });
+    });
+
+    it('should allow only one of concurrent login code requests', function (done) {
+      clock = sinon.useFakeTimers({ now: Date.now() + 61 * 1000, toFake: ['Date'] });
+      const requests = [User.requestLoginCode(email), User.requestLoginCode(email)]
+        .map(request => request.then(() => 0, error => error.statusCode));
+      Promise
+        .all(requests)
+        .then(statusCodes => {
+          expect(statusCodes).to.have.members([0, 429]);
+          done();
+        });
+    });
+
+    it('should reject login code request when daily quota reached', function (done) {
+      clock.tick(61 * 1000);
+      User
+        .requestLoginCode(email)
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.retryAfter).to.be.above(0);
+          done();
+        });
+    });
+
+    after(function () {
+      clock.restore();
+      sendNotificationStub.restore();
+    });
+  });
+
+
+  describe('Magic Link', function () {
+    let User;
+    let token;
+    let sendNotificationStub;
+    const email = faker.internet.email().toLowerCase();
+    const redirect = '/dashboard';
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Passwordless);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationStub = sinon
+        .stub(User.prototype, 'sendJabaliNotification')
+        .callsFake((type, user, data) => {
+          if (type === 'MAGIC_LINK') {
+            token = data.token;
+          }
+          return Promise.resolve();
+        });
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => done());
+    });
+
+    it('should be able to request magic link', function (done) {
+      User
+        .requestMagicLink(email, { redirect })
+        .then(passwordless => {
+          expect(sendNotificationStub.calledWith('MAGIC_LINK')).to.be.true;
+          expect(token).to.have.length(64);
+          expect(passwordless.magicLinkToken).to.not.equal(token);
+          expect(passwordless.magicLinkExpiryAt).to.not.be.null;
+          done();
+        });
+    });
+
+    it('should not reveal unknown email when requesting magic link', function (done) {
+      const sends = sendNotificationStub.callCount;
+      User
+        .requestMagicLink(faker.internet.email())
+        .then(passwordless => {
+          expect(passwordless).to.be.null;
+          expect(sendNotificationStub.callCount).to.equal(sends);
+          done();
+        });
+    });
+
+    it('should fail to consume invalid magic link', function (done) {
+      User
+        .consumeMagicLink(token.slice(1))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    it('should be able to consume magic link', function (done) {
+      User
+        .consumeMagicLink(token)
+        .then(passwordless => {
+          expect(passwordless.email).to.equal(email);
+          expect(passwordless.magicLinkToken).to.be.null;
+          expect(passwordless.magicLinkRedirect).to.equal(redirect);
+          done();
+        });
+    });
+
+    it('should not be able to consume magic link twice', function (done) {
+      User
+        .consumeMagicLink(token)
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid magic link');
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationStub.restore();
+    });
+  });
+});
@@ -6,6 +6,7 @@ const Utils = require(path.join(__dirname, '..', 'utils'));
 const randomize = require('randomatic');
 const deepmerge = require('deepmerge');
 const createError = require('http-errors');
+
 /**
  * 
  * Recoverable takes care of resetting account password 
@@ -15,14 +16,34 @@ const createError = require('http-errors');
  *  + recoveryTokenExpiryAt
  *  + recoverySentAt
  *  + recoveredAt
+ *  + recoveryAttempts
+ *  + recoverySendCount
  *
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Recoverable options
+ * @param {number} opts.token_life - number of days before recovery token expire
+ * @param {string[]} opts.aliases - list of fields used to find account during password reset
+ * @param {string} opts.token_secret - when set only keyed hash of recovery
+ * token is persisted
+ * @param {number} opts.max_token_attempts - number of wrong guesses before
+ * recovery token is invalidated
+ * @param {number} opts.resend_cooldown - number of seconds to wait before
+ * password reset can be requested again
+ * @param {number} opts.max_sends_per_day - number of times password reset
+ * instructions can be sent in a day
  */
 function Recoverable(schema, opts = {}) {
   // default options
   const defaultOptions = {
     // the time it will take before the token become invalid
     token_life: 1,
-    aliases: ['email']
+    aliases: ['email'],
+    // number of wrong guesses allowed before recovery token is invalidated
+    max_token_attempts: 5,
+    // the time to wait before password reset can be requested again
+    resend_cooldown: 0,
+    // maximum password reset instructions sent in a day, unlimited if not set
+    max_sends_per_day: 0
   };
   //prepare options
   const options = deepmerge(defaultOptions, opts);
@@ -41,7 +62,7 @@ function Recoverable(schema, opts = {}) {
       default: null,
       hide: true
     },
-    // the time recovery token created(not sent)
+    // the time recovery instructions last sent
     recoverySentAt: {
       type: Date,
       default: null,
@@ -52,28 +73,43 @@ function Recoverable(schema, opts = {}) {
       type: Date,
       default: null,
       hide: true
+    },
+    // number of wrong guesses of current recovery token
+    recoveryAttempts: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // number of recovery instructions sent on the day of last send
+    recoverySendCount: {
+      type: Number,
+      default: 0,
+      hide: true
     }
   }
   //add recoverable schema attributes
   schema.add(fields);
 
+  // contribute password recovery details to exported personal data
+  Utils.addPersonalDataSection(schema, 'recovery', recoverable => Utils
+    .pickPaths(recoverable, ['recoverySentAt', 'recoveredAt']));
+
+  // fields tracking recovery instructions sends
+  const sendPaths = { sentAt: 'recoverySentAt', count: 'recoverySendCount' };
+
   /**
-   * @function
-   *
-   * It generate recovery token to be used to recover account
-   *
-   * @return {Promise} resolve with recoverable or reject with error
+   * set new recovery token on the account
+   * @param {Object} recoverable - account to set token on
+   * @return {String} - plain recovery token
    * @private
    */
-  schema.methods.generateRecoveryToken = function () {
-    //this refer to the model instance context
-    const recoverable = this;
-
+  const issueRecoveryToken = function (recoverable) {
     //set recovery expiration date
     const recoveryTokenExpiryAt = Utils.addDays(options.token_life);
 
     //set recoveryToken
-    recoverable.recoveryToken = randomize('0', 6);
+    const token = randomize('0', 6);
+    recoverable.recoveryToken = Utils.protectToken(token, options.token_secret);
 
     // set token creation date
     recoverable.recoverySentAt = new Date();
@@ -81,8 +117,26 @@ function Recoverable(schema, opts = {}) {
     //set recovery token expiry date
     recoverable.recoveryTokenExpiryAt = recoveryTokenExpiryAt;
 
+    //reset wrong guesses of previous token
+    recoverable.recoveryAttempts = 0;
+
     //clear previous recovery details if any
     recoverable.recoveredAt = null;
+    return token;
+  };
+
+  /**
+   * @function
+   *
+   * It generate recovery token to be used to recover account
+   *
+   * @return {Promise} resolve with recoverable or reject with error
+   * @private
+   */
+  schema.methods.generateRecoveryToken = function () {
+    //this refer to the model instance context
+    const recoverable = this;
+    issueRecoveryToken(recoverable);
     // return recoverable
     return recoverable;
   };
@@ -94,7 +148,11 @@ function Recoverable(schema, opts = {}) {
    * Request user password reset instructions using username i.e any field 
    * as specified in user alias field
    * This function use username to find user, if exist generate
-   * recovery token and send it out to the requestor
+   * recovery token and send it out to the requestor.
+   * Requests made before `resend_cooldown` seconds have passed since last
+   * send or after `max_sends_per_day` is reached are rejected with
+   * `429 Too Many Requests` error whose `retryAfter` is the number of seconds
+   * to wait.
    * 
    * @param  {String}   username criteria to be used to find a requesting user
    * @return {Promise} resolve with recoverable or reject with error
@@ -117,9 +175,19 @@ function Recoverable(schema, opts = {}) {
         if (!recoverable) {
           throw new createError(404, 'Account does not exist');
         }
-        return recoverable.generateRecoveryToken()
-      })
-      .then(recoverable => recoverable.sendPasswordResetInstructions());
+        return Utils
+          .claimSend(Recoverable, recoverable, sendPaths, options)
+          .then(retryAfter => {
+            if (retryAfter) {
+              throw new createError(429, 'Password reset instructions already sent. Try again later', {
+                retryAfter,
+                headers: { 'Retry-After': String(retryAfter) }
+              });
+            }
+            const token = issueRecoveryToken(recoverable);
+            return recoverable.sendPasswordResetInstructions(token);
+          });
+      });
   };
 
 
@@ -131,11 +199,14 @@ function Recoverable(schema, opts = {}) {
    * so use it with caution. This function is intended to be 
    * used only within this module and not outside. To resend recovery token, 
    * use {@see requestPasswordReset}
+   * Plain token is passed to the notification hook as `{ token }`. When it
+   * is not given and only token hash is persisted, token is regenerated.
    *
+   * @param {String} [token] - plain recovery token just issued
    * @return {Promise} resolve with recoverable or reject with error
    * @private
    */
-  schema.methods.sendPasswordResetInstructions = function () {
+  schema.methods.sendPasswordResetInstructions = function (token) {
     //this refer to model instance context
     const recoverable = this;
 
@@ -144,9 +215,15 @@ function Recoverable(schema, opts = {}) {
       return Promise.resolve(recoverable);
     }
     // TODO check if recovery token expired
+    if (!token && options.token_secret) {
+      // only token hash is known, regenerate token to be able to send it
+      token = issueRecoveryToken(recoverable);
+    }
     //send recovery instructions
     return recoverable
-      .sendJabaliNotification('PASSWORD_RESET_INSTRUCTIONS', recoverable)
+      .sendJabaliNotification('PASSWORD_RESET_INSTRUCTIONS', recoverable, {
+        token: token || recoverable.recoveryToken
+      })
       .then(() => {
         //update recovery send time
         return recoverable.save();
@@ -158,7 +235,12 @@ function Recoverable(schema, opts = {}) {
    * @function
    *
    * @description recover account password
-   *              This method must be called within model static context
+   *              This method must be called within model static context.
+   *              Recovery token is invalidated after `max_token_attempts`
+   *              wrong guesses and reset is rejected with `410 Gone` error
+   *              until password reset is requested again. Once reset,
+   *              refresh tokens and sessions of the account are revoked when
+   *              schema is tokenable or sessionable.
    *
    * @param  {String}   recoveryToken a valid recovery token send during
    *                                      `sendRecovery`
@@ -177,19 +259,47 @@ function Recoverable(schema, opts = {}) {
       return Promise.reject(new createError(400, 'Invalid recovery details'));
     }
 
-    const token = new RegExp(recoveryToken, 'i');
     const { aliases } = options;
     const credentials = aliases
-      .map(field => ({ [field]: username, recoveryToken: { $regex: token } }));
+      .map(field => ({ [field]: username }));
     const users = credentials
       .map(credential => Recoverable.findOne(credential).exec());
 
+    const invalidated = () =>
+      new createError(410, 'Recovery token invalidated. Request a new one');
+    const isExhausted = user =>
+      user.recoveryAttempts >= options.max_token_attempts;
+
     return Promise
       .all(users)
-      .then(result => result.find(user => user !== null))
+      .then(result => {
+        const found = result.filter(user => user !== null);
+        const recoverable = found.find(user =>
+          Utils.verifyToken(recoveryToken, user.recoveryToken, options.token_secret));
+        if (recoverable) {
+          return recoverable;
+        }
+        // count wrong guess against every account matching the username
+        const paths = {
+          token: 'recoveryToken',
+          expiry: 'recoveryTokenExpiryAt',
+          attempts: 'recoveryAttempts'
+        };
+        const attempts = found.map(user => Utils
+          .registerTokenAttempt(Recoverable, user, paths, options.max_token_attempts)
+          .then(exhausted => exhausted || isExhausted(user)));
+        return Promise
+          .all(attempts)
+          .then(exhausted => {
+            if (exhausted.some(Boolean)) {
+              throw invalidated();
+            }
+            throw new createError(404, 'Recovery details does not match our records');
+          });
+      })
       .then(recoverable => {
-        if (!recoverable) {
-          throw new createError(404, 'Recovery details does not match our records');
+        if (isExhausted(recoverable)) {
+          throw invalidated();
         }
         //check if recovery token expired
         const isTokenExpired = !Utils.isAfter(new Date(), recoverable.recoveryTokenExpiryAt);
@@ -198,18 +308,60 @@ function Recoverable(schema, opts = {}) {
           throw new createError(400, 'Recovery token expired');
         }
 
-        return Utils
-          .hash(newPassword)
+        // reject recently used password if schema keep password history
+        const isRecent = recoverable.isRecentPassword ?
+          recoverable.isRecentPassword(newPassword) : Promise.resolve(false);
+        return isRecent
+          .then(isRecent => {
+            if (isRecent) {
+              throw new createError(400, 'Password has been used recently');
+            }
+            // reject breached password if schema has breached password policy
+            return recoverable.isBreachedPassword ?
+              recoverable.isBreachedPassword(newPassword) : false;
+          })
+          .then(isBreached => {
+            if (isBreached) {
+              throw new createError(400,
+                'Password has appeared in a data breach, choose a different one');
+            }
+            // reject weak password if schema has min score password policy
+            return recoverable.checkPasswordStrength ?
+              recoverable.checkPasswordStrength(newPassword) : recoverable;
+          })
+          .then(() => recoverable.hashPassword ?
+            recoverable.hashPassword(newPassword) : Utils.hash(newPassword))
           .then(hash => {
             //set new password
+            if (recoverable.recordPasswordHistory) {
+              recoverable.recordPasswordHistory(recoverable.password);
+            }
             recoverable.password = hash;
+            recoverable.mustChangePassword = false;
             return recoverable;
           });
       })
       .then(recoverable => {
-        //update recovery details
+        //update recovery details, used token can not reset password again
+        recoverable.recoveryToken = null;
+        recoverable.recoveryTokenExpiryAt = null;
         recoverable.recoveredAt = new Date();
+        recoverable.recoveryAttempts = 0;
         return recoverable.save();
+      })
+      .then(recoverable => {
+        // sign out every client holding refresh token
+        if (recoverable.revokeRefreshTokens) {
+          return recoverable.revokeRefreshTokens();
+        }
+        return recoverable;
+      })
+      .then(recoverable => {
+        // sign out every device if schema is sessionable
+        if (recoverable.revokeAllSessions) {
+          return recoverable.revokeAllSessions();
+        }
+        return recoverable;
       });
 
   };
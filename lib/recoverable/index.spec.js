@@ -2,12 +2,15 @@
 
 //dependencies
 const faker = require('faker');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const mongoose = require('mongoose');
 const expect = require('chai').expect;
 const sinon = require('sinon');
 const Schema = mongoose.Schema;
 const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Utils = require(path.join(__dirname, '..', 'utils'));
 const Recoverable = require(path.join(__dirname, 'index'));
 
 describe('Recoverable', function () {
@@ -159,6 +162,24 @@ describe('Recoverable', function () {
     });
 
 
+    it('should fails to reset account password with regular expression token', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), '.*')
+        .catch(error => {
+          expect(error.statusCode).to.equal(404);
+          done();
+        });
+    });
+
+    it('should fails to reset account password with partial token', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), resetToken.charAt(0))
+        .catch(error => {
+          expect(error.statusCode).to.equal(404);
+          done();
+        });
+    });
+
     it('should be able to reset account password', function (done) {
       const newPassword = faker.internet.password();
       User
@@ -166,6 +187,18 @@ describe('Recoverable', function () {
         .then(recoverable => {
           expect(recoverable.password).to.not.equal(password);
           expect(recoverable.recoveredAt).to.not.be.null;
+          expect(recoverable.recoveryToken).to.be.null;
+          expect(recoverable.recoveryTokenExpiryAt).to.be.null;
+          done();
+        });
+    });
+
+    it('should fails to reset account password again with used token', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), resetToken)
+        .catch(error => {
+          expect(error.statusCode).to.equal(404);
+          expect(error.message).to.equal('Recovery details does not match our records');
           done();
         });
     });
@@ -191,4 +224,310 @@ describe('Recoverable', function () {
     });
   });
 
+
+  describe('Password Reset With Hashed Token', function () {
+    let User;
+    let resetToken;
+    let sendNotificationStub;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Recoverable, { token_secret: faker.random.uuid() });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationStub = sinon
+        .stub(User.prototype, 'sendJabaliNotification')
+        .callsFake((type, user, data) => {
+          resetToken = data.token;
+          return Promise.resolve();
+        });
+      User
+        .create({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => done());
+    });
+
+    it('should persist only recovery token hash', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => {
+          expect(resetToken).to.have.length(6);
+          expect(recoverable.recoveryToken).to.not.equal(resetToken);
+          expect(recoverable.recoveryToken).to.have.length(64);
+          done();
+        });
+    });
+
+    it('should be able to reset account password using plain token', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), resetToken)
+        .then(recoverable => {
+          expect(recoverable.recoveredAt).to.not.be.null;
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationStub.restore();
+    });
+  });
+
+
+  describe('Recovery Token Attempts', function () {
+    let User;
+    let resetToken;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Recoverable, { max_token_attempts: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .create({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => User.requestPasswordReset(email))
+        .then(user => {
+          resetToken = user.recoveryToken;
+          done();
+        });
+    });
+
+    it('should count wrong recovery token guesses', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), '000000x')
+        .catch(error => {
+          expect(error.statusCode).to.equal(404);
+          return User.findOne({ email }).exec();
+        })
+        .then(recoverable => {
+          expect(recoverable.recoveryAttempts).to.equal(1);
+          expect(recoverable.recoveryToken).to.equal(resetToken);
+          done();
+        });
+    });
+
+    it('should invalidate recovery token when maximum attempts reached', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), '000000x')
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          expect(error.message)
+            .to.equal('Recovery token invalidated. Request a new one');
+          return User.findOne({ email }).exec();
+        })
+        .then(recoverable => {
+          expect(recoverable.recoveryToken).to.be.null;
+          done();
+        });
+    });
+
+    it('should fail to reset account password using invalidated token', function (done) {
+      User
+        .passwordReset(email, faker.internet.password(), resetToken)
+        .catch(error => {
+          expect(error.statusCode).to.equal(410);
+          done();
+        });
+    });
+
+    it('should be able to reset account password using fresh token', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => {
+          expect(recoverable.recoveryAttempts).to.equal(0);
+          return User
+            .passwordReset(email, faker.internet.password(), recoverable.recoveryToken);
+        })
+        .then(recoverable => {
+          expect(recoverable.recoveredAt).to.not.be.null;
+          done();
+        });
+    });
+  });
+
+
+  describe('Password Reset Request Limits', function () {
+    let User;
+    let clock;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Recoverable, { resend_cooldown: 60, max_sends_per_day: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .create({
+          email,
+          password: faker.internet.password()
+        })
+        .then(() => User.requestPasswordReset(email))
+        .then(recoverable => {
+          expect(recoverable.recoverySendCount).to.equal(1);
+          done();
+        });
+    });
+
+    it('should reject request made before cooldown', function (done) {
+      User
+        .requestPasswordReset(email)
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.retryAfter).to.be.within(1, 60);
+          expect(error.headers['Retry-After']).to.equal(String(error.retryAfter));
+          done();
+        });
+    });
+
+    it('should be able to request after cooldown', function (done) {
+      clock = sinon.useFakeTimers({ now: Date.now() + 61 * 1000, toFake: ['Date'] });
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => {
+          expect(recoverable.recoverySendCount).to.equal(2);
+          done();
+        });
+    });
+
+    it('should reject request when daily quota reached', function (done) {
+      clock.tick(61 * 1000);
+      User
+        .requestPasswordReset(email)
+        .catch(error => {
+          expect(error.statusCode).to.equal(429);
+          expect(error.retryAfter).to.be.above(0);
+          done();
+        });
+    });
+
+    after(function () {
+      clock.restore();
+    });
+  });
+
+
+  describe('Password Reset With Password History', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable, { password_policies: { history: 2 } });
+      UserSchema.plugin(Recoverable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => done());
+    });
+
+    it('should fail to reset password to one of the last passwords', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => User
+          .passwordReset(email, password, recoverable.recoveryToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Password has been used recently');
+          done();
+        });
+    });
+
+    it('should keep previous password in history on reset', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => User
+          .passwordReset(email, faker.internet.password(), recoverable.recoveryToken))
+        .then(recoverable => {
+          expect(recoverable.passwordHistory).to.have.length(1);
+          done();
+        });
+    });
+  });
+
+
+  describe('Password Reset With Breached Password', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+    const breachedPassword = faker.internet.password();
+
+    before(function () {
+      const rangeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jabali-'));
+      const sha1 = Utils.sha1(breachedPassword);
+      fs.writeFileSync(path.join(rangeDir, `${sha1.slice(0, 5)}.txt`), `${sha1.slice(5)}:7`);
+
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable, { password_policies: { breached: { range_dir: rangeDir } } });
+      UserSchema.plugin(Recoverable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: faker.internet.password() })
+        .then(() => done());
+    });
+
+    it('should fail to reset password to breached password', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => User
+          .passwordReset(email, breachedPassword, recoverable.recoveryToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message)
+            .to.equal('Password has appeared in a data breach, choose a different one');
+          done();
+        });
+    });
+  });
+
+
+  describe('Password Reset With Password Strength Policy', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable, { password_policies: { min_score: 3 } });
+      UserSchema.plugin(Recoverable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password: 'correct horse battery staple' })
+        .then(() => done());
+    });
+
+    it('should fail to reset password to weak password', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => User
+          .passwordReset(email, 'password123', recoverable.recoveryToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Password is too weak');
+          done();
+        });
+    });
+  });
 });
\ No newline at end of file
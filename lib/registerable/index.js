@@ -8,6 +8,9 @@
  * It extends mongoose with the following fields
  *  + registeredAt
  *  + unregisteredAt
+ *  + passwordChangedAt
+ *  + passwordHistory
+ *  + mustChangePassword
  *  + email - email field
 *   + phoneNumber - phone number field
 *   + password - password field
@@ -22,6 +25,12 @@ const deepmerge = require('deepmerge');
 const mongooseHidden = require('mongoose-hidden')();
 const { parsePhoneNumber, parsePhoneNumberFromString } = require('libphonenumber-js/mobile');
 
+// message of password rejected by breached password policy
+const BREACHED_PASSWORD_MESSAGE = 'Password has appeared in a data breach, choose a different one';
+
+// message of password rejected by min score password policy
+const WEAK_PASSWORD_MESSAGE = 'Password is too weak';
+
 /** 
 * @param {object} schema - mongoose schema 
 * @param {object} opts - Authenticable options
@@ -33,14 +42,46 @@ const { parsePhoneNumber, parsePhoneNumberFromString } = require('libphonenumber
 * @param {boolean} opts.password_policies.number - Check is password contain number
 * @param {boolean} opts.password_policies.lowercase - Check is password contain lowercase
 * @param {boolean} opts.password_policies.uppercase - Check is password contain uppercase
+* @param {number} opts.password_policies.history - Number of last passwords which can not be reused
+* @param {number} opts.password_policies.max_age_days - Number of days after which password expire
+* @param {object} opts.password_policies.breached - Local corpus of breached passwords to reject
+* @param {string} opts.password_policies.breached.range_dir - Directory of HIBP range files e.g 21BD1.txt
+* @param {string} opts.password_policies.breached.bloom_filter - Bloom filter file built with scripts/build-breached-filter.js
+* @param {number} opts.password_policies.breached.min_count - Number of breaches for password to be rejected
+* @param {number} opts.password_policies.min_score - Minimum password strength score from 0 to 4
 * @param {string[]} opts.aliases - list of fields/attributes to be used during authentication together with the password
+* @param {boolean} opts.require_current_password - Tells if current password must be supplied to change password
+* @param {object} opts.password_hashing - Password hashing options
+* @param {string} opts.password_hashing.algorithm - Hasher to use for new passwords i.e bcrypt, scrypt, pbkdf2 or any registered hasher
+* @param {object} opts.password_hashing.bcrypt - bcrypt options i.e rounds, default to encryption_iterations
+* @param {object} opts.password_hashing.scrypt - scrypt options i.e cost, block_size, parallelization and key_length
+* @param {object} opts.password_hashing.pbkdf2 - PBKDF2 options i.e iterations, digest and key_length
 */
 function Registerable(schema, opts = {}) {
     // init defaults
-    const defaults = {};
+    const defaults = {
+        // set to true to reject changing password with new password only
+        require_current_password: false,
+        // hasher of new passwords, hashes of other hashers are still verified
+        password_hashing: {
+            algorithm: 'bcrypt'
+        }
+    };
 
     const options = deepmerge(defaults, opts);
 
+    // fail early rather than let every password through when breached
+    // passwords corpus is missing
+    const breached = options.password_policies && options.password_policies.breached;
+    if (breached && (breached.range_dir || breached.bloom_filter)) {
+        Utils.checkBreachedCorpus(breached);
+    }
+
+    // bcrypt rounds default to number of iterations used to generate salt
+    const hashing = deepmerge({
+        bcrypt: { rounds: options.encryption_iterations || 10 }
+    }, options.password_hashing);
+
     const fields = {
         // track when registration occur
         registeredAt: {
@@ -54,6 +95,24 @@ function Registerable(schema, opts = {}) {
             default: null,
             hide: true
         },
+        // track when password was last set
+        passwordChangedAt: {
+            type: Date,
+            default: null,
+            hide: true
+        },
+        // hashes of previous passwords, most recent first, kept as per
+        // history password policy
+        passwordHistory: {
+            type: [String],
+            default: [],
+            hide: true
+        },
+        // set to true to force password change on next authentication
+        mustChangePassword: {
+            type: Boolean,
+            default: false
+        },
         email: {
             type: String,
             /**
@@ -157,6 +216,23 @@ function Registerable(schema, opts = {}) {
 
     mongooseHidden.call(null, schema);
 
+    // contribute registration details to exported personal data
+    Utils.addPersonalDataSection(schema, 'account', registerable => Utils
+        .pickPaths(registerable, [
+            'email', 'phoneNumber', 'registeredAt', 'unregisteredAt',
+            'passwordChangedAt', 'mustChangePassword'
+        ]));
+
+    // stamp password change time whenever password is set, be it through
+    // registration, change password, password reset or any other means
+    schema.pre('save', function (next) {
+        const registerable = this;
+        if (registerable.isModified('password')) {
+            registerable.passwordChangedAt = new Date();
+        }
+        next();
+    });
+
     /**
      * Function that is called during account registeration. User can overwrite
      * this method to change registration behavior. This function must return 
@@ -182,30 +258,300 @@ function Registerable(schema, opts = {}) {
 
     /**
      * This instance method called to change/replace user password with the new
-     * one passed as the parameter. Prior to persist password, it checks if the
-     * new password is valid according password policy if exist.
+     * one passed as the parameter. Prior to persist password, it verify the
+     * current password, reject new password which is the same as the current
+     * one or any of the last passwords as per history password policy,
+     * which is breached as per breached password policy or which is weaker
+     * than min score password policy and checks if the new password is valid
+     * according password policy if exist.
+     * Once changed, `PASSWORD_CHANGED` notification is sent and refresh tokens
+     * of the account are revoked when schema is tokenable.
+     * Unless `require_current_password` option is set, it can also be called
+     * with the new password only i.e `changePassword(newPassword)` as before
+     * current password verification was introduced. When called with both
+     * arguments, current password must be given and is always verified.
      * 
+     * @param {string} currentPassword - Current password of the account
      * @param {string} newPassword - New password to replace the old one
      * @return {promise} - promise resolved with model instance or reject with
      * error
      */
-    schema.methods.changePassword = function (newPassword) {
+    schema.methods.changePassword = function (currentPassword, newPassword) {
         //this refer to the model instance context
         const registerable = this;
 
+        // compatible mode, only new password is given
+        const isCompatible = arguments.length === 1 && !options.require_current_password;
+        if (isCompatible) {
+            newPassword = currentPassword;
+        }
+
         if (!newPassword) {
             // new password is empty
             return Promise.reject(createError(400, 'New password must be provided'));
         }
-        // temporary set password to the instance for validation purpose
-        registerable.password = newPassword;
-        return registerable
-            .validate()
-            .then(() => Utils.hash(newPassword))
+        if (!isCompatible && !currentPassword) {
+            // current password left out of two arguments call
+            return Promise.reject(createError(400, 'Current password must be provided'));
+        }
+
+        const previousPassword = registerable.password;
+        const verification = isCompatible ? Promise.resolve(true) :
+            Utils.compare(currentPassword, previousPassword);
+        return verification
+            .then(isValid => {
+                if (!isValid) {
+                    throw new createError(400, 'Invalid current password');
+                }
+                return Utils.compare(newPassword, previousPassword);
+            })
+            .then(isSame => {
+                if (isSame) {
+                    throw new createError(400, 'New password must be different from the current one');
+                }
+                return registerable.isRecentPassword(newPassword);
+            })
+            .then(isRecent => {
+                if (isRecent) {
+                    throw new createError(400, 'Password has been used recently');
+                }
+                return registerable.isBreachedPassword(newPassword);
+            })
+            .then(isBreached => {
+                if (isBreached) {
+                    throw new createError(400, BREACHED_PASSWORD_MESSAGE);
+                }
+                return registerable.checkPasswordStrength(newPassword);
+            })
+            .then(() => {
+                // temporary set password to the instance for validation purpose
+                registerable.password = newPassword;
+                return registerable
+                    .validate()
+                    .catch(error => {
+                        // keep current password hash on validation failure
+                        registerable.password = previousPassword;
+                        throw error;
+                    });
+            })
+            .then(() => registerable.hashPassword(newPassword))
             .then(hash => {
                 // set hashed password
+                registerable.recordPasswordHistory(previousPassword);
                 registerable.password = hash;
+                registerable.mustChangePassword = false;
                 return registerable.save();
+            })
+            .then(registerable => {
+                // sign out every client holding refresh token
+                if (registerable.revokeRefreshTokens) {
+                    return registerable.revokeRefreshTokens();
+                }
+                return registerable;
+            })
+            .then(registerable => registerable
+                .sendJabaliNotification('PASSWORD_CHANGED', registerable)
+                .then(() => registerable));
+    };
+
+    /**
+     * Hash the given password using hasher set by `password_hashing` option
+     *
+     * @param {string} password - Plain password to hash
+     * @return {promise} - promise resolved with encoded password hash
+     * @public
+     */
+    schema.methods.hashPassword = function (password) {
+        return Utils.hash(password, hashing);
+    };
+
+    /**
+     * Hash the given verified password again when current password hash was
+     * produced by other hasher or with lower cost than `password_hashing`
+     * option. It is called on authentication so that accounts migrate to the
+     * current hashing options without resetting their passwords. Rehashing
+     * is not counted as password change.
+     *
+     * @param {string} password - Plain password which match current hash
+     * @return {promise} - promise resolved with model instance
+     * @private
+     */
+    schema.methods.rehashPassword = function (password) {
+        //this refer to the model instance context
+        const registerable = this;
+        const previousPassword = registerable.password;
+        if (!Utils.needsRehash(previousPassword, hashing)) {
+            return Promise.resolve(registerable);
+        }
+        return registerable
+            .hashPassword(password)
+            .then(hash => {
+                // replace hash only if password was not changed meanwhile and
+                // bypass save hooks which react on password change
+                const criteria = { _id: registerable._id, password: previousPassword };
+                return registerable.constructor
+                    .update(criteria, { $set: { password: hash } })
+                    .exec()
+                    .then(() => {
+                        registerable.setValue('password', hash);
+                        return registerable;
+                    });
+            });
+    };
+
+    /**
+     * Check if account password has to be changed before authenticating i.e
+     * account is flagged with `mustChangePassword` or password is older than
+     * `max_age_days` password policy. Age of passwords set before password
+     * change time was tracked is counted from registration.
+     *
+     * @return {boolean} - true if password has expired
+     * @public
+     */
+    schema.methods.isPasswordExpired = function () {
+        //this refer to the model instance context
+        const registerable = this;
+        if (registerable.mustChangePassword) {
+            return true;
+        }
+        const policies = options.password_policies;
+        const maxAgeDays = policies && policies.max_age_days;
+        const changedAt = registerable.passwordChangedAt || registerable.registeredAt;
+        if (!maxAgeDays || !changedAt) {
+            return false;
+        }
+        const expiryAt = Utils.addDays(maxAgeDays, changedAt);
+        return !Utils.isAfter(new Date(), expiryAt);
+    };
+
+    /**
+     * Check if the given password is one of the last passwords of the account
+     * as per history password policy. Current password is counted as the most
+     * recent one.
+     *
+     * @param {string} password - Plain password to check
+     * @return {promise} - promise resolved with true if password has been
+     * used recently
+     * @private
+     */
+    schema.methods.isRecentPassword = function (password) {
+        //this refer to the model instance context
+        const registerable = this;
+        const policies = options.password_policies;
+        const limit = policies && policies.history;
+        if (!limit) {
+            return Promise.resolve(false);
+        }
+        const hashes = [registerable.password]
+            .concat(registerable.passwordHistory || [])
+            .filter(Boolean)
+            .slice(0, limit);
+        return Promise
+            .all(hashes.map(hash => Utils.compare(password, hash)))
+            .then(matches => matches.some(Boolean));
+    };
+
+    /**
+     * Check if the given password appear in the local breached passwords
+     * corpus as per breached password policy. The corpus is read from disk
+     * so the check works offline.
+     *
+     * @param {string} password - Plain password to check
+     * @return {promise} - promise resolved with true if password has been
+     * breached
+     * @public
+     */
+    schema.methods.isBreachedPassword = function (password) {
+        const policies = options.password_policies;
+        const corpus = policies && policies.breached;
+        if (!corpus || !password) {
+            return Promise.resolve(false);
+        }
+        return Utils.isBreachedPassword(password, corpus);
+    };
+
+    /**
+     * Check if the given password is strong enough as per min score password
+     * policy. Password containing details of the account i.e email local part,
+     * phone number digits or any of the authenticable aliases is penalized.
+     *
+     * @param {string} password - Plain password to check
+     * @return {promise} - promise resolved with model instance or rejected
+     * with error which has `score` and `feedback` of the password
+     * @public
+     */
+    schema.methods.checkPasswordStrength = function (password) {
+        //this refer to the model instance context
+        const registerable = this;
+        const policies = options.password_policies;
+        const minScore = policies && policies.min_score;
+        if (!minScore) {
+            return Promise.resolve(registerable);
+        }
+        const { score, feedback } = registerable.constructor
+            .estimatePasswordStrength(password, registerable);
+        if (score < minScore) {
+            return Promise.reject(createError(400, WEAK_PASSWORD_MESSAGE, { score, feedback }));
+        }
+        return Promise.resolve(registerable);
+    };
+
+    /**
+     * Keep hash of the password being replaced as per history password policy.
+     * It must be called before the new password is persisted.
+     *
+     * @param {string} previousPassword - Hash of the password being replaced
+     * @return {object} - model instance
+     * @private
+     */
+    schema.methods.recordPasswordHistory = function (previousPassword) {
+        //this refer to the model instance context
+        const registerable = this;
+        const policies = options.password_policies;
+        const limit = policies && policies.history;
+        if (!limit || !previousPassword) {
+            return registerable;
+        }
+        // current password is counted as one of the last passwords
+        registerable.passwordHistory = [previousPassword]
+            .concat(registerable.passwordHistory || [])
+            .slice(0, limit - 1);
+        return registerable;
+    };
+
+    /**
+     * Export personal data of the account e.g to fulfil data portability
+     * request. It gather sections contributed by plugged modules i.e account
+     * details, confirmation, tracking and locking timestamps, verified
+     * channels and companion collections records such as sign in history
+     * and sessions together with schema paths marked `personal: true`.
+     * Secrets such as password and tokens are never exported.
+     *
+     * @return {promise} - promise resolved with exported data
+     * @public
+     */
+    schema.methods.exportPersonalData = function () {
+        //this refer to the model instance context
+        const registerable = this;
+        const personalPaths = [];
+        registerable.schema.eachPath((path, schemaType) => {
+            if (schemaType.options && schemaType.options.personal) {
+                personalPaths.push(path);
+            }
+        });
+        const sections = Utils.personalDataSectionsOf(registerable.schema);
+        const collected = sections.map(({ name, collect }) => Promise
+            .resolve(collect(registerable))
+            .then(data => ({ name, data })));
+        return Promise
+            .all(collected)
+            .then(collected => {
+                const exported = { id: String(registerable._id), exportedAt: new Date() };
+                collected.forEach(({ name, data }) => {
+                    exported[name] = data;
+                });
+                exported.personal = Utils.pickPaths(registerable, personalPaths);
+                return exported;
             });
     };
 
@@ -219,6 +565,8 @@ function Registerable(schema, opts = {}) {
     * most of the time it will affect the persistence of the prior actions. So to
     * if notification is not core of the action then consider to make this fn alwasy resolve,
     * Otherwise allow this to resolve or reject.
+    * It is called with notification type, the instance and for some
+    * notification types extra data e.g plain tokens which are not persisted.
     * 
     * @returns {Promise} - Resolve when successfully
     */
@@ -242,10 +590,17 @@ function Registerable(schema, opts = {}) {
 
         return user
             .validate()
+            .then(() => user.isBreachedPassword(user.password))
+            .then(isBreached => {
+                if (isBreached) {
+                    throw new createError(400, BREACHED_PASSWORD_MESSAGE);
+                }
+                return user.checkPasswordStrength(user.password);
+            })
             .then(() => {
                 //encrypt password
-                return Utils
-                    .hash(user.password)
+                return user
+                    .hashPassword(user.password)
                     .then(hash => {
                         user.password = hash;
                         return user;
@@ -281,6 +636,236 @@ function Registerable(schema, opts = {}) {
             });
     };
 
+    /**
+     * Estimate strength of a password using the same logic as min score
+     * password policy, so that clients can show strength meter. Password
+     * containing details of the given profile i.e email local part, phone
+     * number digits or any of the authenticable aliases is penalized.
+     *
+     * @param {string} password - Plain password to estimate
+     * @param {object} [profile] - Account details e.g `{ email, phoneNumber }`
+     * @return {object} - `{ score, guesses, feedback: { warning, suggestions } }`
+     * where score is from 0 (too guessable) to 4 (very unguessable)
+     * @public
+     */
+    schema.statics.estimatePasswordStrength = function (password, profile = {}) {
+        //this refer to model static context
+        const Registerable = this;
+        const aliases = Registerable.authenticationAliases ?
+            Registerable.authenticationAliases() : [];
+        const fields = ['email', 'phoneNumber'].concat(aliases, options.aliases || []);
+        const userInputs = [];
+        fields
+            .filter((field, index) => fields.indexOf(field) === index && profile[field])
+            .forEach(field => {
+                const value = String(profile[field]).toLowerCase();
+                if (field === 'email') {
+                    // local part of email and words within it
+                    const localPart = value.split('@')[0];
+                    userInputs.push(localPart);
+                    localPart.split(/[._+-]/).forEach(word => userInputs.push(word));
+                    return;
+                }
+                if (field === 'phoneNumber') {
+                    // phone number digits, whole or any trailing part of them
+                    const digits = value.replace(/\D/g, '');
+                    for (let start = 0; start <= digits.length - 4; start++) {
+                        userInputs.push(digits.slice(start));
+                    }
+                    return;
+                }
+                userInputs.push(value);
+                value.split(/[\s._+-]/).forEach(word => userInputs.push(word));
+            });
+        return Utils.estimatePasswordStrength(password, userInputs);
+    };
+
+    /**
+     * Import accounts from other system in batches. Passwords must already be
+     * hashed in one of the supported formats, they are persisted as they are
+     * and migrated to current hashing options on authentication. Every row is
+     * validated using account fields validators and failed rows are reported
+     * without aborting the import. Registration and confirmation time of the
+     * rows are preserved.
+     *
+     * @param {Array|Stream} source - Array or object mode readable stream of
+     * account details with hashed `password`
+     * @param {object} [opts] - Import options
+     * @param {string} [opts.passwordFormat=auto] - Format of row passwords i.e
+     * `auto` for hash of any registered hasher, a hasher name e.g `pbkdf2` or
+     * `django` for Django PBKDF2 hashes
+     * @param {string} [opts.onConflict=error] - What to do with row whose
+     * email or phone number is already registered i.e `error`, `skip` or
+     * `update`
+     * @param {boolean} [opts.confirmed] - Set to true to mark imported accounts
+     * confirmed or false to mark them unconfirmed. Row `confirmedAt` is kept
+     * when not set
+     * @param {number} [opts.batchSize=100] - Number of rows inserted at once
+     * @return {promise} - promise resolved with `{ total, inserted, updated,
+     * skipped, errors }` report where errors are `{ index, error }` of failed
+     * rows
+     * @public
+     */
+    schema.statics.importUsers = function (source, opts = {}) {
+        //this refer to model static context
+        const Registerable = this;
+        const {
+            passwordFormat = 'auto',
+            onConflict = 'error',
+            confirmed,
+            batchSize = 100
+        } = opts;
+        if (['error', 'skip', 'update'].indexOf(onConflict) === -1) {
+            return Promise.reject(createError(400, `Invalid conflict strategy ${onConflict}`));
+        }
+
+        const report = { total: 0, inserted: 0, updated: 0, skipped: 0, errors: [] };
+        const fail = (index, error) => {
+            report.errors.push({ index, error });
+        };
+        const conflict = index => {
+            if (onConflict === 'skip') {
+                report.skipped++;
+                return;
+            }
+            fail(index, createError(409, 'Account already exists'));
+        };
+
+        // build and validate account of a row
+        const prepare = (row, index) => {
+            const changes = Object.assign({}, row);
+            delete changes._id;
+            if (row.password) {
+                changes.password = Utils.convertPasswordHash(row.password, passwordFormat);
+                if (!changes.password) {
+                    fail(index, createError(400, 'Unsupported password format'));
+                    return Promise.resolve();
+                }
+            }
+            if (confirmed !== undefined) {
+                changes.confirmedAt = confirmed ? row.confirmedAt || new Date() : null;
+            }
+            const registerable = new Registerable(Object
+                .assign({ registeredAt: new Date() }, changes));
+            return registerable
+                .validate()
+                .then(() => ({ index, changes, registerable }), error => fail(index, error));
+        };
+
+        // check if a given account has email or phone number of a row
+        const isSameAccount = (account, registerable) =>
+            Boolean((registerable.email && account.email === registerable.email) ||
+                (registerable.phoneNumber && account.phoneNumber === registerable.phoneNumber));
+
+        // find already registered accounts of the given rows
+        const findExisting = prepared => {
+            const emails = prepared
+                .map(({ registerable }) => registerable.email).filter(Boolean);
+            const phoneNumbers = prepared
+                .map(({ registerable }) => registerable.phoneNumber).filter(Boolean);
+            if (!emails.length && !phoneNumbers.length) {
+                return Promise.resolve([]);
+            }
+            return Registerable
+                .find({
+                    $or: [
+                        { email: { $in: emails } },
+                        { phoneNumber: { $in: phoneNumbers } }
+                    ]
+                })
+                .exec();
+        };
+
+        const update = ({ index, changes }, account) => {
+            if (onConflict !== 'update') {
+                return Promise.resolve(conflict(index));
+            }
+            account.set(changes);
+            return account
+                .save()
+                .then(() => {
+                    report.updated++;
+                }, error => fail(index, error));
+        };
+
+        const insert = fresh => {
+            if (!fresh.length) {
+                return Promise.resolve();
+            }
+            const docs = fresh
+                .map(({ registerable }) => registerable.toObject({ transform: false }));
+            return Registerable
+                .insertMany(docs, { ordered: false })
+                .then(() => {
+                    report.inserted += fresh.length;
+                })
+                .catch(error => {
+                    // unordered insert report every failed row
+                    const writeErrors = error.writeErrors ||
+                        (error.index !== undefined ? [error] : undefined);
+                    if (!writeErrors) {
+                        throw error;
+                    }
+                    report.inserted += fresh.length - writeErrors.length;
+                    writeErrors.forEach(writeError => {
+                        const { index } = fresh[writeError.index];
+                        if (writeError.code === 11000) {
+                            // duplicate within imported rows
+                            return conflict(index);
+                        }
+                        fail(index, createError(400, writeError.errmsg));
+                    });
+                });
+        };
+
+        // apply rows repeating account of an earlier row of the same batch
+        // once the earlier row is inserted, one after another
+        const applyRepeated = repeated => repeated.reduce((applied, row) => applied
+            .then(() => {
+                if (onConflict !== 'update') {
+                    return conflict(row.index);
+                }
+                return findExisting([row])
+                    .then(([account]) => account ? update(row, account) : insert([row]));
+            }), Promise.resolve());
+
+        const importBatch = (rows, start) => {
+            report.total += rows.length;
+            return Promise
+                .all(rows.map((row, offset) => prepare(row, start + offset)))
+                .then(prepared => prepared.filter(Boolean))
+                .then(prepared => findExisting(prepared)
+                    .then(accounts => {
+                        const updates = [];
+                        const fresh = [];
+                        const repeated = [];
+                        const applied = [];
+                        prepared.forEach(row => {
+                            const isRepeated = applied.some(({ registerable }) =>
+                                isSameAccount(registerable, row.registerable));
+                            if (isRepeated) {
+                                return repeated.push(row);
+                            }
+                            applied.push(row);
+                            const account = accounts
+                                .find(account => isSameAccount(account, row.registerable));
+                            return account ?
+                                updates.push(update(row, account)) : fresh.push(row);
+                        });
+                        return Promise
+                            .all(updates.concat(insert(fresh)))
+                            .then(() => applyRepeated(repeated));
+                    }));
+        };
+
+        return Utils
+            .eachBatch(source, batchSize, importBatch)
+            .then(() => {
+                report.errors.sort((first, second) => first.index - second.index);
+                return report;
+            });
+    };
+
     /**
      * 
      * Unregister a given account.
@@ -2,11 +2,19 @@
 
 //dependencies
 const faker = require('faker');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
+const stream = require('stream');
+const childProcess = require('child_process');
 const mongoose = require('mongoose');
 const expect = require('chai').expect;
+const sinon = require('sinon');
 const Schema = mongoose.Schema;
 const jabali = require(path.join(__dirname, 'index'));
+const Jabali = require(path.join(__dirname, '..', 'index'));
+const Utils = require(path.join(__dirname, '..', 'utils'));
 
 describe('Registerable', function () {
 
@@ -323,9 +331,12 @@ describe('Registerable', function () {
     describe('Change Password', function () {
         let User;
         let testUser;
+        let sendNotificationSpy;
+        let password = faker.internet.password();
         before(function (done) {
             const UserSchema = new Schema({});
             UserSchema.plugin(jabali, {
+                require_current_password: true,
                 password_policies: {
                     min_length: 6
                 }
@@ -336,9 +347,10 @@ describe('Registerable', function () {
 
 
         before('Create user', function (done) {
+            sendNotificationSpy = sinon.spy(User.prototype, 'sendJabaliNotification');
             const user = new User({
                 email: faker.internet.email(),
-                password: faker.internet.password()
+                password
             });
             User
                 .register(user)
@@ -351,35 +363,608 @@ describe('Registerable', function () {
 
         it('should be able to change password', function (done) {
             const previousPassword = testUser.password;
+            const newPassword = faker.internet.password();
             testUser
-                .changePassword(faker.internet.password())
+                .changePassword(password, newPassword)
                 .then(registerable => {
+                    password = newPassword;
                     expect(registerable.password).to.not.equal(previousPassword);
+                    expect(registerable.passwordChangedAt).to.not.be.null;
+                    expect(sendNotificationSpy.calledWith('PASSWORD_CHANGED')).to.be.true;
+                    done();
+                });
+        });
+
+        it('should fail to change password with invalid current password', function (done) {
+            testUser
+                .changePassword(faker.internet.password(), faker.internet.password())
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Invalid current password');
+                    done();
+                });
+        });
+
+        it('should fail to change password without current password', function (done) {
+            testUser
+                .changePassword(faker.internet.password())
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Current password must be provided');
+                    done();
+                });
+        });
+
+        it('should fail to change password to the same password', function (done) {
+            testUser
+                .changePassword(password, password)
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message)
+                        .to.equal('New password must be different from the current one');
                     done();
                 });
         });
 
         it('should fail to change password if new password fails validation', function (done) {
+            const previousPassword = testUser.password;
             const newPassword = 'pwd';
             testUser
-                .changePassword(newPassword)
+                .changePassword(password, newPassword)
                 .catch(error => {
                     expect(error).to.exist;
+                    expect(testUser.password).to.equal(previousPassword);
                     done();
                 });
         });
 
         it('should fail to change password when empty password provided', function (done) {
             testUser
-                .changePassword('')
+                .changePassword(password, '')
                 .catch(error => {
                     expect(error.name).to.equal('BadRequestError');
                     done();
                 });
         });
+
+        after(function () {
+            sendNotificationSpy.restore();
+        });
+    });
+
+
+    describe('Change Password Without Current Password', function () {
+        let User;
+        let testUser;
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali);
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({
+                    email: faker.internet.email(),
+                    password: faker.internet.password()
+                })
+                .then(doc => {
+                    testUser = doc;
+                    done();
+                });
+        });
+
+        it('should be able to change password with new password only', function (done) {
+            const previousPassword = testUser.password;
+            testUser
+                .changePassword(faker.internet.password())
+                .then(registerable => {
+                    expect(registerable.password).to.not.equal(previousPassword);
+                    done();
+                });
+        });
+
+        it('should still verify current password when given', function (done) {
+            testUser
+                .changePassword(faker.internet.password(), faker.internet.password())
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Invalid current password');
+                    done();
+                });
+        });
+
+        it('should fail to change password when current password field is omitted', function (done) {
+            const previousPassword = testUser.password;
+            const body = { newPassword: faker.internet.password() };
+            testUser
+                .changePassword(body.currentPassword, body.newPassword)
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Current password must be provided');
+                    expect(testUser.password).to.equal(previousPassword);
+                    done();
+                });
+        });
+    });
+
+
+
+    describe('Password History Policy', function () {
+        let User;
+        let testUser;
+        const passwords = [
+            faker.internet.password(),
+            faker.internet.password(),
+            faker.internet.password(),
+            faker.internet.password()
+        ];
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, { password_policies: { history: 3 } });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({
+                    email: faker.internet.email(),
+                    password: passwords[0]
+                })
+                .then(doc => doc.changePassword(passwords[0], passwords[1]))
+                .then(doc => doc.changePassword(passwords[1], passwords[2]))
+                .then(doc => {
+                    testUser = doc;
+                    done();
+                });
+        });
+
+        it('should keep hashes of previous passwords', function () {
+            expect(testUser.passwordHistory).to.have.length(2);
+            expect(testUser.passwordHistory).to.not.include(passwords[0]);
+            expect(testUser.toJSON().passwordHistory).to.be.undefined;
+        });
+
+        it('should fail to change password to one of the last passwords', function (done) {
+            testUser
+                .changePassword(passwords[2], passwords[0])
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Password has been used recently');
+                    done();
+                });
+        });
+
+        it('should be able to change password to a new password', function (done) {
+            testUser
+                .changePassword(passwords[2], passwords[3])
+                .then(registerable => {
+                    expect(registerable.passwordHistory).to.have.length(2);
+                    return registerable.isRecentPassword(passwords[0]);
+                })
+                .then(isRecent => {
+                    expect(isRecent).to.be.false;
+                    done();
+                });
+        });
+    });
+
+
+    describe('Breached Password Policy', function () {
+        let User;
+        const breachedPassword = faker.internet.password();
+        const rangeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jabali-'));
+        const message = 'Password has appeared in a data breach, choose a different one';
+        before(function () {
+            // write range file of breached password in HIBP range format
+            const sha1 = Utils.sha1(breachedPassword);
+            const range = [
+                `${Utils.sha1(faker.internet.password()).slice(5)}:2`,
+                `${sha1.slice(5)}:42`
+            ].join('\r\n');
+            fs.writeFileSync(path.join(rangeDir, `${sha1.slice(0, 5)}.txt`), range);
+
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, { password_policies: { breached: { range_dir: rangeDir } } });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        it('should fail to register with breached password', function (done) {
+            User
+                .register({
+                    email: faker.internet.email(),
+                    password: breachedPassword
+                })
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal(message);
+                    done();
+                });
+        });
+
+        it('should fail to change password to breached password', function (done) {
+            const password = faker.internet.password();
+            User
+                .register({
+                    email: faker.internet.email(),
+                    password
+                })
+                .then(registerable => registerable.changePassword(password, breachedPassword))
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal(message);
+                    done();
+                });
+        });
+
+        it('should fail to plug breached password policy with missing corpus', function () {
+            const UserSchema = new Schema({});
+            const missingDir = path.join(rangeDir, 'missing');
+            expect(() => UserSchema.plugin(jabali, {
+                password_policies: { breached: { range_dir: missingDir } }
+            })).to.throw(`Breached passwords range directory ${missingDir} does not exist`);
+        });
+
+        it('should check password against bloom filter', function (done) {
+            const bloomFilter = path.join(rangeDir, 'breached.bloom');
+            const script = path.join(__dirname, '..', '..', 'scripts', 'build-breached-filter.js');
+            childProcess.execFileSync(process.execPath, [script, rangeDir, bloomFilter]);
+
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, { password_policies: { breached: { bloom_filter: bloomFilter } } });
+            const BloomUser = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+            const registerable = new BloomUser({ email: faker.internet.email() });
+            Promise
+                .all([
+                    registerable.isBreachedPassword(breachedPassword),
+                    registerable.isBreachedPassword(`${breachedPassword}${faker.random.uuid()}`)
+                ])
+                .then(([isBreached, isOtherBreached]) => {
+                    expect(isBreached).to.be.true;
+                    expect(isOtherBreached).to.be.false;
+                    done();
+                });
+        });
+    });
+
+
+    describe('Password Strength Policy', function () {
+        let User;
+        const email = 'kilimanjaro.summit@example.com';
+        const phoneNumber = '+255714046060';
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, { password_policies: { min_score: 3 } });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        it('should estimate password strength with feedback', function () {
+            const weak = User.estimatePasswordStrength('qwerty123');
+            expect(weak.score).to.equal(0);
+            expect(weak.feedback.warning).to.not.be.empty;
+            expect(weak.feedback.suggestions).to.not.be.empty;
+
+            const strong = User.estimatePasswordStrength('correct horse battery staple');
+            expect(strong.score).to.equal(4);
+            expect(strong.feedback.warning).to.be.empty;
+        });
+
+        it('should penalize password containing account details', function () {
+            const password = 'Kilimanjaro!4046060';
+            const anonymous = User.estimatePasswordStrength(password);
+            const personal = User.estimatePasswordStrength(password, { email, phoneNumber });
+            expect(personal.score).to.be.below(anonymous.score);
+            expect(personal.feedback.warning)
+                .to.equal('Avoid using your email, phone number or other personal details');
+        });
+
+        it('should fail to register with weak password', function (done) {
+            User
+                .register({ email, password: 'Kilimanjaro2019' })
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Password is too weak');
+                    expect(error.score).to.be.below(3);
+                    expect(error.feedback.warning).to.exist;
+                    done();
+                });
+        });
+
+        it('should fail to change password to weak password', function (done) {
+            const password = 'correct horse battery staple';
+            User
+                .register({ email: faker.internet.email(), password })
+                .then(registerable => registerable.changePassword(password, 'aaaaaaaaaa'))
+                .catch(error => {
+                    expect(error.statusCode).to.equal(400);
+                    expect(error.message).to.equal('Password is too weak');
+                    done();
+                });
+        });
+
+        it('should penalize password containing authenticable alias', function () {
+            const EmployeeSchema = new Schema({ employeeId: { type: String } });
+            EmployeeSchema.plugin(Jabali, {
+                registerable: { password_policies: { min_score: 3 } },
+                authenticable: { aliases: ['email', 'employeeId'] }
+            });
+            const Employee = mongoose.model(`User+${faker.random.number()}`, EmployeeSchema);
+            const password = 'Mkwawa7731Tz';
+            const anonymous = Employee.estimatePasswordStrength(password);
+            const personal = Employee.estimatePasswordStrength(password, { employeeId: 'MKWAWA7731' });
+            expect(anonymous.score).to.be.at.least(3);
+            expect(personal.score).to.be.below(3);
+            expect(personal.feedback.warning)
+                .to.equal('Avoid using your email, phone number or other personal details');
+        });
+    });
+
+
+    describe('Password Hashing', function () {
+        const password = faker.internet.password();
+
+        it('should hash password with bcrypt rounds from encryption iterations', function (done) {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, { encryption_iterations: 6 });
+            const User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+            new User({ email: faker.internet.email() })
+                .hashPassword(password)
+                .then(hash => {
+                    expect(hash).to.match(/^\$2a\$06\$/);
+                    done();
+                });
+        });
+
+        it('should register account with configured hasher', function (done) {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali, {
+                password_hashing: { algorithm: 'pbkdf2', pbkdf2: { iterations: 1000 } }
+            });
+            const User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+            User
+                .register({ email: faker.internet.email(), password })
+                .then(registerable => {
+                    expect(registerable.password).to.match(/^\$pbkdf2-sha256\$i=1000\$/);
+                    return Utils.compare(password, registerable.password);
+                })
+                .then(isValid => {
+                    expect(isValid).to.be.true;
+                    done();
+                });
+        });
+
+        it('should verify hashes of every hasher', function (done) {
+            const algorithms = [
+                { algorithm: 'bcrypt', bcrypt: { rounds: 4 } },
+                { algorithm: 'pbkdf2', pbkdf2: { iterations: 1000 } },
+                { algorithm: 'scrypt', scrypt: { cost: 1024 } }
+            ];
+            Promise
+                .all(algorithms.map(options => Utils.hash(password, options)))
+                .then(hashes => Promise.all(hashes.map(hash => Utils.compare(password, hash))))
+                .then(matches => {
+                    expect(matches).to.not.include(false);
+                    done();
+                });
+        });
+    });
+
+
+    describe('Import Users', function () {
+        let User;
+        let bcryptHash;
+        const password = faker.internet.password();
+        const registeredAt = new Date('2015-06-01T10:00:00Z');
+        const email = faker.internet.email().toLowerCase();
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(jabali);
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            Utils
+                .hash(password, 4)
+                .then(hash => {
+                    bcryptHash = hash;
+                    done();
+                });
+        });
+
+        it('should import users reporting failed rows', function (done) {
+            const rows = [
+                { email, password: bcryptHash, registeredAt },
+                { email: 'invalid email', password: bcryptHash },
+                { email: faker.internet.email(), password: 'plain password' },
+                { email, password: bcryptHash }
+            ];
+            User
+                .importUsers(rows, { batchSize: 2 })
+                .then(report => {
+                    expect(report.total).to.equal(4);
+                    expect(report.inserted).to.equal(1);
+                    expect(report.errors.map(({ index }) => index)).to.eql([1, 2, 3]);
+                    expect(report.errors[1].error.message).to.equal('Unsupported password format');
+                    expect(report.errors[2].error.statusCode).to.equal(409);
+                    return User.findOne({ email }).exec();
+                })
+                .then(registerable => {
+                    expect(registerable.password).to.equal(bcryptHash);
+                    expect(registerable.registeredAt.getTime()).to.equal(registeredAt.getTime());
+                    done();
+                });
+        });
+
+        it('should import django pbkdf2 passwords from stream', function (done) {
+            const salt = faker.random.alphaNumeric(12);
+            const hash = crypto.pbkdf2Sync(password, salt, 1000, 32, 'sha256').toString('base64');
+            const emails = [faker.internet.email(), faker.internet.email(), faker.internet.email()]
+                .map(email => email.toLowerCase());
+            const rows = emails
+                .map(email => ({ email, password: `pbkdf2_sha256$1000$${salt}$${hash}` }));
+            const source = new stream.Readable({
+                objectMode: true,
+                read: function () {
+                    this.push(rows.length ? rows.shift() : null);
+                }
+            });
+            User
+                .importUsers(source, { passwordFormat: 'django', batchSize: 2 })
+                .then(report => {
+                    expect(report.inserted).to.equal(3);
+                    expect(report.errors).to.be.empty;
+                    return User.findOne({ email: emails[2] }).exec();
+                })
+                .then(registerable => Utils.compare(password, registerable.password))
+                .then(isValid => {
+                    expect(isValid).to.be.true;
+                    done();
+                });
+        });
+
+        it('should skip or update already registered users', function (done) {
+            const rows = [{ email, password: bcryptHash }];
+            User
+                .importUsers(rows, { onConflict: 'skip' })
+                .then(report => {
+                    expect(report.skipped).to.equal(1);
+                    expect(report.errors).to.be.empty;
+                    return Utils.hash(faker.internet.password(), 4);
+                })
+                .then(hash => User.importUsers([{ email, password: hash }], { onConflict: 'update' })
+                    .then(report => {
+                        expect(report.updated).to.equal(1);
+                        return User.findOne({ email }).exec();
+                    })
+                    .then(registerable => {
+                        expect(registerable.password).to.equal(hash);
+                        expect(registerable.registeredAt.getTime()).to.equal(registeredAt.getTime());
+                        done();
+                    }));
+        });
+
+        it('should update repeated rows of the same batch', function (done) {
+            const repeatedEmail = faker.internet.email().toLowerCase();
+            Utils
+                .hash(faker.internet.password(), 4)
+                .then(hash => User
+                    .importUsers([
+                        { email: repeatedEmail, password: bcryptHash },
+                        { email: repeatedEmail, password: hash }
+                    ], { onConflict: 'update' })
+                    .then(report => {
+                        expect(report.inserted).to.equal(1);
+                        expect(report.updated).to.equal(1);
+                        expect(report.errors).to.be.empty;
+                        return User.findOne({ email: repeatedEmail }).exec();
+                    })
+                    .then(registerable => {
+                        expect(registerable.password).to.equal(hash);
+                        done();
+                    }));
+        });
+
+        it('should reject imported hashes of too high cost', function () {
+            const salt = 'c2FsdHNhbHQ';
+            const derived = 'ZGVyaXZlZGRlcml2ZWQ';
+            expect(Utils.convertPasswordHash(`$pbkdf2-sha256$i=99999999999$${salt}$${derived}`))
+                .to.be.undefined;
+            expect(Utils.convertPasswordHash(`$scrypt$n=4294967296,r=8,p=1$${salt}$${derived}`))
+                .to.be.undefined;
+            expect(Utils.convertPasswordHash(`pbkdf2_sha256$99999999999$salt$${derived}`, 'django'))
+                .to.be.undefined;
+            expect(Utils.convertPasswordHash(`$pbkdf2-md4$i=1000$${salt}$${derived}`))
+                .to.be.undefined;
+            expect(Utils.convertPasswordHash(`pbkdf2_md4$1000$salt$${derived}`, 'django'))
+                .to.be.undefined;
+            expect(Utils.convertPasswordHash(`$pbkdf2-sha256$i=1000$${salt}$${derived}`))
+                .to.equal(`$pbkdf2-sha256$i=1000$${salt}$${derived}`);
+            expect(Utils.convertPasswordHash(`$scrypt$n=16384,r=8,p=1$${salt}$${derived}`))
+                .to.equal(`$scrypt$n=16384,r=8,p=1$${salt}$${derived}`);
+        });
+
+        it('should not match hash which can not be verified', function (done) {
+            Utils
+                .compare(password, '$pbkdf2-md4$i=1000$c2FsdHNhbHQ$ZGVyaXZlZGRlcml2ZWQ')
+                .then(isValid => {
+                    expect(isValid).to.be.false;
+                    done();
+                });
+        });
+
+        it('should stop reading stream once a batch fails', function (done) {
+            const source = new stream.Readable({
+                objectMode: true,
+                read: function () {
+                    this.push({ email: faker.internet.email(), password: bcryptHash });
+                }
+            });
+            sinon.stub(User, 'insertMany').returns(Promise.reject(new Error('Insert failed')));
+            User
+                .importUsers(source, { batchSize: 2 })
+                .catch(error => {
+                    User.insertMany.restore();
+                    expect(error.message).to.equal('Insert failed');
+                    expect(source.destroyed).to.be.true;
+                    done();
+                });
+        });
     });
 
 
+    describe('Export Personal Data', function () {
+        let User;
+        let user;
+        const email = faker.internet.email().toLowerCase();
+        const name = faker.name.findName();
+        before(function () {
+            const UserSchema = new Schema({
+                name: { type: String, personal: true },
+                notes: { type: String }
+            });
+            UserSchema.plugin(jabali);
+            // contribution of app owned collection
+            Utils.addPersonalDataSection(UserSchema, 'preferences', registerable =>
+                Promise.resolve({ newsletter: registerable.email === email }));
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, name, notes: faker.lorem.sentence(), password: faker.internet.password() })
+                .then(registerable => {
+                    user = registerable;
+                    done();
+                });
+        });
+
+        it('should export account details and personal paths', function (done) {
+            user
+                .exportPersonalData()
+                .then(exported => {
+                    expect(exported.id).to.equal(String(user._id));
+                    expect(exported.exportedAt).to.exist;
+                    expect(exported.account.email).to.equal(email);
+                    expect(exported.account.registeredAt).to.exist;
+                    expect(exported.personal).to.eql({ name });
+                    expect(exported.preferences).to.eql({ newsletter: true });
+                    done();
+                });
+        });
+
+        it('should not export secrets', function (done) {
+            user
+                .exportPersonalData()
+                .then(exported => {
+                    const serialized = JSON.stringify(exported);
+                    expect(serialized).to.not.contain(user.password);
+                    expect(serialized).to.not.contain('password"');
+                    expect(serialized).to.not.contain('notes');
+                    done();
+                });
+        });
+    });
+
 
     describe('Duplicate Account', function () {
         let User;
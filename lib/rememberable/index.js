@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * @file
+ * @name Rememberable
+ * Rememberable is responsible to keep account signed in across browser
+ * sessions using remember token, equivalent of Devise Rememberable. Only
+ * digest of the remember token is persisted and it is forgotten whenever
+ * account password change.
+ * It extends mongoose schema by adding the followings
+ *  + rememberToken
+ *  + rememberCreatedAt
+ *  + rememberTokenExpiryAt
+ */
+
+//dependencies
+const path = require('path');
+const crypto = require('crypto');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Rememberable options
+ * @param {number} opts.remember_for - number of days before remember token expire
+ * @param {boolean} opts.extend_remember_period - whether remember token life
+ * should be extended every time it is used to authenticate
+ */
+function Rememberable(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    // the time it will take before the remember token become invalid
+    remember_for: 14,
+    // slide remember token expiry on every use
+    extend_remember_period: false
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  // rememberable schema fields
+  const fields = {
+    // digest of remember token
+    rememberToken: {
+      type: String,
+      default: null,
+      index: true,
+      hide: true
+    },
+    // the time remember token created
+    rememberCreatedAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // the time remember token get expired
+    rememberTokenExpiryAt: {
+      type: Date,
+      default: null,
+      hide: true
+    }
+  };
+  // add new fields into the schema
+  schema.add(fields);
+
+  // contribute remember me details to exported personal data
+  Utils.addPersonalDataSection(schema, 'rememberMe', rememberable => Utils
+    .pickPaths(rememberable, ['rememberCreatedAt', 'rememberTokenExpiryAt']));
+
+  // forget account whenever password change, be it through change password,
+  // password reset or any other means
+  schema.pre('save', function (next) {
+    const rememberable = this;
+    if (!rememberable.isNew && rememberable.isModified('password')) {
+      rememberable.rememberToken = null;
+      rememberable.rememberCreatedAt = null;
+      rememberable.rememberTokenExpiryAt = null;
+    }
+    next();
+  });
+
+  //--------------------------------------------------------------------------
+  // rememberable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Generate and persist remember token for the account replacing previous
+   * one if any. Only token digest is persisted so the plain token resolved
+   * has to be handed to the client right away e.g as cookie.
+   *
+   * @return {Promise} - resolve with `{ user, rememberToken, expiresAt }` or
+   * reject with error
+   * @public
+   */
+  schema.methods.rememberMe = function () {
+    //this context is of model instance
+    const rememberable = this;
+
+    const rememberToken = crypto.randomBytes(32).toString('hex');
+    rememberable.rememberToken = Utils.digest(rememberToken);
+    rememberable.rememberCreatedAt = new Date();
+    rememberable.rememberTokenExpiryAt = Utils.addDays(options.remember_for);
+    return rememberable
+      .save()
+      .then(rememberable => ({
+        user: rememberable,
+        rememberToken,
+        expiresAt: rememberable.rememberTokenExpiryAt
+      }));
+  };
+
+
+  /**
+   * @function
+   * Forget the account i.e invalidate its remember token
+   *
+   * @return {Promise} - resolve with rememberable or reject with error
+   * @public
+   */
+  schema.methods.forgetMe = function () {
+    //this context is of model instance
+    const rememberable = this;
+
+    rememberable.rememberToken = null;
+    rememberable.rememberCreatedAt = null;
+    rememberable.rememberTokenExpiryAt = null;
+    return rememberable.save();
+  };
+
+  //--------------------------------------------------------------------------
+  // rememberable static methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Authenticate account using remember token issued by `rememberMe`.
+   * Unregistered, lockable and confirmable checks apply as in password
+   * authentication. When `extend_remember_period` is set, remember token
+   * expiry is pushed forward on every use.
+   *
+   * @param {String} token - remember token
+   * @param {Object} [context] - details of the authentication request
+   * @return {Promise} - resolve with rememberable or reject with error
+   * @public
+   */
+  schema.statics.authenticateFromRememberToken = function (token, context = {}) {
+    //this refer to model static context
+    const Rememberable = this;
+    if (!token) {
+      return Promise.reject(createError(401, 'Invalid remember token'));
+    }
+
+    return Rememberable
+      .findOne({ rememberToken: Utils.digest(token) })
+      .exec()
+      .then(rememberable => {
+        if (!rememberable || rememberable.unregisteredAt) {
+          throw new createError(401, 'Invalid remember token');
+        }
+        //check if remember token expired
+        const isTokenExpired = !Utils.isAfter(new Date(), rememberable.rememberTokenExpiryAt);
+        if (isTokenExpired) {
+          throw new createError(401, 'Remember token expired');
+        }
+        if (rememberable.checkAuthenticationBlock) {
+          return rememberable.checkAuthenticationBlock(context);
+        }
+        return rememberable;
+      })
+      .then(rememberable => {
+        if (options.extend_remember_period) {
+          rememberable.rememberTokenExpiryAt = Utils.addDays(options.remember_for);
+          return rememberable.save();
+        }
+        return rememberable;
+      })
+      .then(rememberable => {
+        if (rememberable.completeAuthentication) {
+          return rememberable.completeAuthentication(context);
+        }
+        return rememberable;
+      });
+  };
+}
+
+
+// export module
+module.exports = Rememberable;
@@ -0,0 +1,238 @@
+'use strict';
+
+//dependencies
+const faker = require('faker');
+const path = require('path');
+const mongoose = require('mongoose');
+const expect = require('chai').expect;
+const Schema = mongoose.Schema;
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Lockable = require(path.join(__dirname, '..', 'lockable'));
+const Rememberable = require(path.join(__dirname, 'index'));
+
+
+describe('Rememberable', function () {
+
+  describe('Schema setup', function () {
+    let User;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Rememberable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should have rememberable attributes', function () {
+      expect(User.schema.paths.rememberToken).to.exist;
+      expect(User.schema.paths.rememberCreatedAt).to.exist;
+      expect(User.schema.paths.rememberTokenExpiryAt).to.exist;
+    });
+  });
+
+
+  describe('Remember Me', function () {
+    let User;
+    let user;
+    let rememberToken;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Lockable, { enabled: true });
+      UserSchema.plugin(Rememberable, { remember_for: 7 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email: faker.internet.email(),
+          password: faker.internet.password()
+        })
+        .then(registered => registered.rememberMe())
+        .then(remembered => {
+          user = remembered.user;
+          rememberToken = remembered.rememberToken;
+          done();
+        });
+    });
+
+    it('should persist only remember token digest', function () {
+      expect(user.rememberToken).to.not.equal(rememberToken);
+      expect(user.rememberCreatedAt).to.not.be.null;
+      expect(user.rememberTokenExpiryAt).to.not.be.null;
+    });
+
+    it('should authenticate from remember token', function (done) {
+      User
+        .authenticateFromRememberToken(rememberToken)
+        .then(rememberable => {
+          expect(String(rememberable._id)).to.equal(String(user._id));
+          done();
+        });
+    });
+
+    it('should fail to authenticate from expired remember token', function (done) {
+      const rememberTokenExpiryAt = new Date(Date.now() - 1000);
+      User
+        .update({ _id: user._id }, { $set: { rememberTokenExpiryAt } })
+        .exec()
+        .then(() => User.authenticateFromRememberToken(rememberToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Remember token expired');
+          done();
+        });
+    });
+
+    it('should fail to authenticate locked account from remember token', function (done) {
+      user
+        .rememberMe()
+        .then(remembered => {
+          rememberToken = remembered.rememberToken;
+          return remembered.user.lock();
+        })
+        .then(() => User.authenticateFromRememberToken(rememberToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(423);
+          done();
+        });
+    });
+
+    it('should fail to authenticate after forget me', function (done) {
+      User
+        .findById(user._id)
+        .exec()
+        .then(rememberable => rememberable.forgetMe())
+        .then(() => User.authenticateFromRememberToken(rememberToken))
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Invalid remember token');
+          done();
+        });
+    });
+  });
+
+
+  describe('Password Expiry Block Remember Me', function () {
+    let User;
+    let rememberToken;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable, { password_policies: { max_age_days: 90 } });
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Rememberable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email: faker.internet.email(),
+          password: faker.internet.password()
+        })
+        .then(registered => registered.rememberMe())
+        .then(remembered => {
+          rememberToken = remembered.rememberToken;
+          const passwordChangedAt = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000);
+          return User
+            .update({ _id: remembered.user._id }, { $set: { passwordChangedAt } })
+            .exec();
+        })
+        .then(() => done());
+    });
+
+    it('should fail to authenticate from remember token with expired password', function (done) {
+      User
+        .authenticateFromRememberToken(rememberToken)
+        .catch(error => {
+          expect(error.statusCode).to.equal(403);
+          expect(error.code).to.equal('PASSWORD_EXPIRED');
+          done();
+        });
+    });
+  });
+
+
+  describe('Extend Remember Period', function () {
+    let User;
+    let rememberToken;
+    let expiresAt;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Rememberable, { extend_remember_period: true });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email: faker.internet.email(),
+          password: faker.internet.password()
+        })
+        .then(registered => registered.rememberMe())
+        .then(remembered => {
+          rememberToken = remembered.rememberToken;
+          expiresAt = remembered.expiresAt;
+          done();
+        });
+    });
+
+    it('should extend remember token expiry on use', function (done) {
+      setTimeout(() => {
+        User
+          .authenticateFromRememberToken(rememberToken)
+          .then(rememberable => {
+            expect(rememberable.rememberTokenExpiryAt.getTime())
+              .to.be.above(expiresAt.getTime());
+            done();
+          });
+      }, 10);
+    });
+  });
+
+
+  describe('Forget on Password Change', function () {
+    let User;
+    let user;
+    let rememberToken;
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Rememberable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email: faker.internet.email(),
+          password
+        })
+        .then(registered => registered.rememberMe())
+        .then(remembered => {
+          user = remembered.user;
+          rememberToken = remembered.rememberToken;
+          done();
+        });
+    });
+
+    it('should forget account when password change', function (done) {
+      user
+        .changePassword(password, faker.internet.password())
+        .then(rememberable => {
+          expect(rememberable.rememberToken).to.be.null;
+          return User.authenticateFromRememberToken(rememberToken);
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,354 @@
+'use strict';
+
+/**
+ * @file
+ * @name Sessionable
+ * Sessionable is responsible to keep server side record of every device the
+ * account is signed in from. Session is created on every successful
+ * authentication and kept in companion `Session` collection until it is
+ * revoked or expired, so account owners can list their sessions and sign
+ * out of specific or all devices. Session ids are handed to devices once and
+ * only their digests are kept.
+ * It extends mongoose schema by adding the followings
+ *  + currentSession(virtual)
+ *  + currentSessionId(virtual)
+ */
+
+//dependencies
+const path = require('path');
+const crypto = require('crypto');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+// sessions created by the latest authentication of an instance
+const currentSessions = new WeakMap();
+
+// plain ids of sessions created by the latest authentication of an instance
+const currentSessionIds = new WeakMap();
+
+/**
+ * check if a given value can be a session id. Ids come from requests so
+ * anything other than a string e.g query operator object is rejected.
+ * @param {*} id - value to check
+ * @return {Boolean} - true if value is a non empty string
+ * @private
+ */
+function isSessionId(id) {
+  return typeof id === 'string' && id.length > 0;
+}
+
+/**
+ * @function
+ * @description build session schema. Session keep details of the device
+ *              account is signed in from.
+ * @param {Function} Schema mongoose schema constructor
+ * @param {String} ref name of the model sessions belong to
+ * @private
+ */
+function sessionSchema(Schema, ref) {
+  const SessionSchema = new Schema({
+    // digest of random session id handed to the device
+    _id: {
+      type: String
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref,
+      required: true
+    },
+    deviceLabel: {
+      type: String,
+      default: null
+    },
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    // the time session become invalid, null if it never expire
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  // support listing active account sessions starting with the most recent
+  SessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+  // let mongodb purge expired sessions
+  SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  return SessionSchema;
+}
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Sessionable options
+ * @param {boolean} opts.enabled - whether session should be created on every
+ * successful authentication
+ * @param {number} opts.expires_in - number of days before session expire, 0
+ * for sessions which never expire
+ */
+function Sessionable(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    enabled: false,
+    // the time it will take before session become invalid
+    expires_in: 30
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  // criteria matching sessions which are neither revoked nor expired
+  const activeCriteria = () => ({
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+
+  // contribute sessions to exported personal data, session ids are secrets
+  // handed to devices hence left out
+  if (options.enabled) {
+    Utils.addPersonalDataSection(schema, 'sessions', sessionable => sessionable
+      .constructor.sessionModel()
+      .find({ user: sessionable._id })
+      .sort({ createdAt: -1 })
+      .exec()
+      .then(sessions => sessions.map(session => Utils.pickPaths(session, [
+        'deviceLabel', 'ipAddress', 'userAgent', 'createdAt', 'lastSeenAt', 'revokedAt'
+      ]))));
+  }
+
+  // session created by the latest authentication of the instance, if any
+  schema.virtual('currentSession').get(function () {
+    return currentSessions.get(this) || null;
+  });
+
+  // plain id of the session created by the latest authentication of the
+  // instance, it is what the device should present on later requests
+  schema.virtual('currentSessionId').get(function () {
+    return currentSessionIds.get(this) || null;
+  });
+
+  //--------------------------------------------------------------------------
+  // sessionable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Create session for the account. Called by authenticable on every
+   * successful authentication when sessionable is enabled. Created session
+   * is available as `currentSession` of the resolved instance and its plain
+   * id, which is not persisted, as `currentSessionId`.
+   *
+   * @param {Object} [context] - details of the authentication request
+   * @param {String} [context.deviceLabel] - human readable device name
+   * @param {String} [context.ipAddress] - ip address of the device
+   * @param {String} [context.userAgent] - user agent of the device
+   * @return {Promise} - resolve with sessionable or reject with error
+   * @private
+   */
+  schema.methods.createSession = function (context = {}) {
+    //this context is of model instance
+    const sessionable = this;
+    if (!options.enabled) {
+      return Promise.resolve(sessionable);
+    }
+    const Session = sessionable.constructor.sessionModel();
+    const id = crypto.randomBytes(24).toString('hex');
+    return Session
+      .create({
+        _id: Utils.digest(id),
+        user: sessionable._id,
+        deviceLabel: context.deviceLabel,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        expiresAt: options.expires_in ? Utils.addDays(options.expires_in) : null
+      })
+      .then(session => {
+        currentSessions.set(sessionable, session);
+        currentSessionIds.set(sessionable, id);
+        return sessionable;
+      });
+  };
+
+
+  /**
+   * @function
+   * List active sessions of the account starting with the most recently seen
+   *
+   * @return {Promise} - resolve with list of sessions or reject with error
+   * @public
+   */
+  schema.methods.listSessions = function () {
+    //this context is of model instance
+    const sessionable = this;
+    const Session = sessionable.constructor.sessionModel();
+    return Session
+      .find(Object.assign({ user: sessionable._id }, activeCriteria()))
+      .sort({ lastSeenAt: -1 })
+      .exec();
+  };
+
+
+  /**
+   * @function
+   * Revoke session of the account i.e sign out the device
+   *
+   * @param {String} id - plain session id or `_id` of a listed session
+   * @return {Promise} - resolve with revoked session or reject with error
+   * @public
+   */
+  schema.methods.revokeSession = function (id) {
+    //this context is of model instance
+    const sessionable = this;
+    const Session = sessionable.constructor.sessionModel();
+    if (!isSessionId(id)) {
+      return Promise.reject(createError(404, 'Session not found'));
+    }
+    return Session
+      .findOneAndUpdate(
+        { _id: { $in: [Utils.digest(id), id] }, user: sessionable._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      )
+      .exec()
+      .then(session => {
+        if (!session) {
+          throw new createError(404, 'Session not found');
+        }
+        return session;
+      });
+  };
+
+
+  /**
+   * @function
+   * Revoke every session of the account except the given one i.e sign out
+   * all other devices
+   *
+   * @param {String} currentId - plain id of the session to keep
+   * @return {Promise} - resolve with sessionable or reject with error
+   * @public
+   */
+  schema.methods.revokeOtherSessions = function (currentId) {
+    //this context is of model instance
+    const sessionable = this;
+    const Session = sessionable.constructor.sessionModel();
+    if (!isSessionId(currentId)) {
+      return Promise.reject(createError(400, 'Invalid session'));
+    }
+    return Session
+      .update({ _id: { $ne: Utils.digest(currentId) }, user: sessionable._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }, { multi: true })
+      .exec()
+      .then(() => sessionable);
+  };
+
+
+  /**
+   * @function
+   * Revoke every session of the account i.e sign out all devices
+   *
+   * @return {Promise} - resolve with sessionable or reject with error
+   * @public
+   */
+  schema.methods.revokeAllSessions = function () {
+    //this context is of model instance
+    const sessionable = this;
+    const Session = sessionable.constructor.sessionModel();
+    return Session
+      .update({ user: sessionable._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }, { multi: true })
+      .exec()
+      .then(() => sessionable);
+  };
+
+  //--------------------------------------------------------------------------
+  // sessionable static methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Get model of the sessions companion collection
+   *
+   * @return {Model} - session model
+   * @public
+   */
+  schema.statics.sessionModel = function () {
+    //this refer to model static context
+    const Sessionable = this;
+    return Utils.companionModel(Sessionable, 'Session', sessionSchema);
+  };
+
+
+  /**
+   * @function
+   * Check that session is neither revoked nor expired and update its last
+   * seen time. It is meant to be called on every request carrying session id.
+   * Sessions of unregistered, locked or unconfirmed accounts are rejected.
+   *
+   * @param {String} id - plain session id
+   * @return {Promise} - resolve with `{ user, session }` or reject with error
+   * @public
+   */
+  schema.statics.verifySession = function (id) {
+    //this refer to model static context
+    const Sessionable = this;
+    const Session = Sessionable.sessionModel();
+    if (!isSessionId(id)) {
+      return Promise.reject(createError(401, 'Invalid session'));
+    }
+    return Session
+      .findOneAndUpdate(
+        Object.assign({ _id: Utils.digest(id) }, activeCriteria()),
+        { $set: { lastSeenAt: new Date() } },
+        { new: true }
+      )
+      .exec()
+      .then(session => {
+        if (!session) {
+          throw new createError(401, 'Invalid session');
+        }
+        return Sessionable
+          .findById(session.user)
+          .exec()
+          .then(sessionable => {
+            if (!sessionable || sessionable.unregisteredAt) {
+              throw new createError(401, 'Invalid session');
+            }
+            if (sessionable.isLocked && sessionable.isLocked()) {
+              throw new createError(423, sessionable.lockedAccountMessage());
+            }
+            if (sessionable.confirmableBlockAuthenticationMessage) {
+              const message = sessionable.confirmableBlockAuthenticationMessage();
+              if (message) {
+                throw new createError(401, message);
+              }
+            }
+            currentSessions.set(sessionable, session);
+            return { user: sessionable, session };
+          });
+      });
+  };
+}
+
+
+// export module
+module.exports = Sessionable;
@@ -0,0 +1,310 @@
+'use strict';
+
+//dependencies
+const faker = require('faker');
+const path = require('path');
+const mongoose = require('mongoose');
+const expect = require('chai').expect;
+const Schema = mongoose.Schema;
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Recoverable = require(path.join(__dirname, '..', 'recoverable'));
+const Confirmable = require(path.join(__dirname, '..', 'confirmable'));
+const Utils = require(path.join(__dirname, '..', 'utils'));
+const Sessionable = require(path.join(__dirname, 'index'));
+
+
+describe('Sessionable', function () {
+
+  describe('Create Session on Authentication', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    const context = {
+      deviceLabel: 'Work laptop',
+      ipAddress: faker.internet.ip(),
+      userAgent: faker.internet.userAgent()
+    };
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Sessionable, { enabled: true });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => done());
+    });
+
+    it('should create session on successful authentication', function (done) {
+      User
+        .authenticate(email, password, context)
+        .then(sessionable => {
+          const session = sessionable.currentSession;
+          expect(session).to.exist;
+          expect(sessionable.currentSessionId).to.have.length(48);
+          expect(session._id).to.equal(Utils.digest(sessionable.currentSessionId));
+          expect(session.expiresAt).to.exist;
+          expect(session.deviceLabel).to.equal(context.deviceLabel);
+          expect(session.ipAddress).to.equal(context.ipAddress);
+          expect(session.userAgent).to.equal(context.userAgent);
+          expect(session.createdAt).to.exist;
+          expect(session.lastSeenAt).to.exist;
+          done();
+        });
+    });
+
+    it('should not create session on failed authentication', function (done) {
+      User
+        .authenticate(email, faker.internet.password(), context)
+        .catch(() => User.findOne({ email }).exec())
+        .then(sessionable => sessionable.listSessions())
+        .then(sessions => {
+          expect(sessions).to.have.length(1);
+          done();
+        });
+    });
+  });
+
+
+  describe('Manage Sessions', function () {
+    let User;
+    let user;
+    let sessions;
+    const ids = {};
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Sessionable, { enabled: true });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => ['Phone', 'Tablet', 'Laptop'].reduce((authenticated, deviceLabel) =>
+          authenticated
+            .then(() => User.authenticate(email, password, { deviceLabel }))
+            .then(sessionable => {
+              ids[deviceLabel] = sessionable.currentSessionId;
+              user = sessionable;
+            }), Promise.resolve()))
+        .then(() => user.listSessions())
+        .then(listed => {
+          sessions = listed;
+          done();
+        });
+    });
+
+    it('should list active sessions', function () {
+      expect(sessions).to.have.length(3);
+    });
+
+    it('should verify active session', function (done) {
+      User
+        .verifySession(ids[sessions[0].deviceLabel])
+        .then(({ user: sessionable, session }) => {
+          expect(String(sessionable._id)).to.equal(String(user._id));
+          expect(session.lastSeenAt.getTime())
+            .to.be.at.least(sessions[0].lastSeenAt.getTime());
+          done();
+        });
+    });
+
+    it('should reject session digest as session id', function (done) {
+      User
+        .verifySession(sessions[0]._id)
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Invalid session');
+          done();
+        });
+    });
+
+    it('should reject session id which is not a string', function (done) {
+      User
+        .verifySession({ $ne: null })
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Invalid session');
+          done();
+        });
+    });
+
+    it('should revoke session', function (done) {
+      user
+        .revokeSession(ids[sessions[0].deviceLabel])
+        .then(session => {
+          expect(session.revokedAt).to.not.be.null;
+          return User.verifySession(ids[sessions[0].deviceLabel]);
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          done();
+        });
+    });
+
+    it('should fail to revoke unknown session', function (done) {
+      user
+        .revokeSession(faker.random.uuid())
+        .catch(error => {
+          expect(error.statusCode).to.equal(404);
+          done();
+        });
+    });
+
+    it('should export sessions without their ids as personal data', function (done) {
+      user
+        .exportPersonalData()
+        .then(exported => {
+          expect(exported.sessions).to.have.length(3);
+          expect(exported.sessions.map(session => session.deviceLabel))
+            .to.have.members(['Phone', 'Tablet', 'Laptop']);
+          expect(exported.sessions[0]._id).to.be.undefined;
+          done();
+        });
+    });
+
+    it('should revoke other sessions', function (done) {
+      user
+        .revokeOtherSessions(ids[sessions[1].deviceLabel])
+        .then(sessionable => sessionable.listSessions())
+        .then(listed => {
+          expect(listed).to.have.length(1);
+          expect(listed[0]._id).to.equal(sessions[1]._id);
+          done();
+        });
+    });
+  });
+
+
+  describe('Verify Session of Unconfirmed Account', function () {
+    let User;
+    let sessionId;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Confirmable, { allow_unconfirmed_access_for: 1 });
+      UserSchema.plugin(Sessionable, { enabled: true });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => User.authenticate(email, password))
+        .then(sessionable => {
+          sessionId = sessionable.currentSessionId;
+          done();
+        });
+    });
+
+    it('should reject session once unconfirmed access period is over', function (done) {
+      const confirmationSentAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+      User
+        .update({ email }, { $set: { confirmationSentAt } })
+        .exec()
+        .then(() => User.verifySession(sessionId))
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Unconfirmed account');
+          done();
+        });
+    });
+  });
+
+
+  describe('Session Expiry', function () {
+    let User;
+    let user;
+    let sessionId;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Sessionable, { enabled: true, expires_in: 1 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => User.authenticate(email, password))
+        .then(sessionable => {
+          user = sessionable;
+          sessionId = sessionable.currentSessionId;
+          done();
+        });
+    });
+
+    it('should set session expiry as per expires_in option', function () {
+      const expiresAt = user.currentSession.expiresAt.getTime();
+      expect(expiresAt).to.be.within(Date.now() + 23 * 60 * 60 * 1000,
+        Date.now() + 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject expired session', function (done) {
+      const expiresAt = new Date(Date.now() - 1000);
+      User
+        .sessionModel()
+        .update({ _id: Utils.digest(sessionId) }, { $set: { expiresAt } })
+        .exec()
+        .then(() => User.verifySession(sessionId))
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Invalid session');
+          return user.listSessions();
+        })
+        .then(sessions => {
+          expect(sessions).to.have.length(0);
+          done();
+        });
+    });
+  });
+
+
+  describe('Revoke Sessions on Password Reset', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Recoverable);
+      UserSchema.plugin(Sessionable, { enabled: true });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => User.authenticate(email, password))
+        .then(() => User.authenticate(email, password))
+        .then(() => done());
+    });
+
+    it('should revoke every session on password reset', function (done) {
+      User
+        .requestPasswordReset(email)
+        .then(recoverable => User
+          .passwordReset(email, faker.internet.password(), recoverable.recoveryToken))
+        .then(sessionable => sessionable.listSessions())
+        .then(sessions => {
+          expect(sessions).to.have.length(0);
+          done();
+        });
+    });
+  });
+});
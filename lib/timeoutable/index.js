@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * @file
+ * @name Timeoutable
+ * Timeoutable is responsible to expire sessions of accounts which have been
+ * idle for longer than configured period, equivalent of Devise Timeoutable.
+ * Idle time is counted from the latest of last recorded activity and current
+ * sign in time as tracked by trackable.
+ * It extends mongoose schema by adding the followings
+ *  + lastActivityAt
+ */
+
+//dependencies
+const path = require('path');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Timeoutable options
+ * @param {number} opts.timeout_in - number of minutes of inactivity after
+ * which session time out, sessions never time out if not set
+ */
+function Timeoutable(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    // the time of inactivity before session time out, zero to never time out
+    timeout_in: 0
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  // timeoutable schema fields
+  const fields = {
+    // the time of last request made by the account
+    lastActivityAt: {
+      type: Date,
+      default: null,
+      hide: true
+    }
+  };
+  // add new fields into the schema
+  schema.add(fields);
+
+  // contribute activity details to exported personal data
+  Utils.addPersonalDataSection(schema, 'activity', timeoutable => Utils
+    .pickPaths(timeoutable, ['lastActivityAt']));
+
+  //--------------------------------------------------------------------------
+  // timeoutable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Check if session has been idle for longer than `timeout_in` minutes
+   *
+   * @param {Date} [lastRequestAt] - the time of last request, default to the
+   * latest of `lastActivityAt` and `currentSignInAt`
+   * @return {Boolean} - true if session timed out
+   * @public
+   */
+  schema.methods.isTimedOut = function (lastRequestAt) {
+    //this context is of model instance
+    const timeoutable = this;
+
+    const lastAccessAt = lastRequestAt || [timeoutable.lastActivityAt, timeoutable.currentSignInAt]
+      .filter(Boolean)
+      .sort((first, second) => second - first)[0];
+    if (!options.timeout_in || !lastAccessAt) {
+      return false;
+    }
+    const timeoutAt = Utils.addMinutes(options.timeout_in, lastAccessAt);
+    return !Utils.isAfter(new Date(), timeoutAt);
+  };
+
+
+  /**
+   * @function
+   * Start counting activity afresh. Called by authenticable on every
+   * successful authentication, the activity is persisted together with
+   * other authentication changes. Nothing is recorded when sessions never
+   * time out.
+   *
+   * @return {Object} - timeoutable
+   * @private
+   */
+  schema.methods.startActivity = function () {
+    //this context is of model instance
+    const timeoutable = this;
+
+    if (options.timeout_in) {
+      timeoutable.lastActivityAt = new Date();
+    }
+    return timeoutable;
+  };
+
+
+  /**
+   * @function
+   * Record activity of the account. Timed out session is rejected with
+   * `SessionTimeoutError` instead, so the account has to sign in again.
+   *
+   * @return {Promise} - resolve with timeoutable or reject with error
+   * @public
+   */
+  schema.methods.touchActivity = function () {
+    //this context is of model instance
+    const timeoutable = this;
+
+    if (timeoutable.isTimedOut()) {
+      return Promise.reject(createError(401, 'Session timed out', {
+        name: 'SessionTimeoutError',
+        code: 'SESSION_TIMEOUT'
+      }));
+    }
+    timeoutable.lastActivityAt = new Date();
+    return timeoutable.save();
+  };
+}
+
+
+// export module
+module.exports = Timeoutable;
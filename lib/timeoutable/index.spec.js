@@ -0,0 +1,118 @@
+'use strict';
+
+//dependencies
+const faker = require('faker');
+const path = require('path');
+const mongoose = require('mongoose');
+const expect = require('chai').expect;
+const Schema = mongoose.Schema;
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Trackable = require(path.join(__dirname, '..', 'trackable'));
+const Timeoutable = require(path.join(__dirname, 'index'));
+
+
+describe('Timeoutable', function () {
+
+  describe('Schema setup', function () {
+    let User;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Timeoutable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should have timeoutable attributes', function () {
+      expect(User.schema.paths.lastActivityAt).to.exist;
+    });
+
+    it('should never time out by default', function () {
+      const user = new User({ email: faker.internet.email() });
+      expect(user.isTimedOut(new Date(Date.now() - 24 * 60 * 60 * 1000))).to.be.false;
+      expect(user.startActivity().lastActivityAt).to.be.null;
+    });
+  });
+
+
+  describe('Check Timeout', function () {
+    let User;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Trackable);
+      UserSchema.plugin(Timeoutable, { timeout_in: 10 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should not time out without recorded activity', function () {
+      const user = new User({ email: faker.internet.email() });
+      expect(user.isTimedOut()).to.be.false;
+    });
+
+    it('should time out using given last request time', function () {
+      const user = new User({ email: faker.internet.email() });
+      expect(user.isTimedOut(new Date(Date.now() - 11 * 60 * 1000))).to.be.true;
+      expect(user.isTimedOut(new Date(Date.now() - 9 * 60 * 1000))).to.be.false;
+    });
+
+    it('should use the latest of last activity and current sign in', function () {
+      const user = new User({
+        email: faker.internet.email(),
+        lastActivityAt: new Date(Date.now() - 60 * 60 * 1000),
+        currentSignInAt: new Date(Date.now() - 60 * 1000)
+      });
+      expect(user.isTimedOut()).to.be.false;
+      user.currentSignInAt = new Date(Date.now() - 30 * 60 * 1000);
+      expect(user.isTimedOut()).to.be.true;
+    });
+  });
+
+
+  describe('Touch Activity', function () {
+    let User;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Timeoutable, { timeout_in: 10 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(() => done());
+    });
+
+    it('should start activity on authentication', function (done) {
+      User
+        .authenticate(email, password)
+        .then(timeoutable => {
+          expect(timeoutable.lastActivityAt).to.not.be.null;
+          return timeoutable.touchActivity();
+        })
+        .then(timeoutable => {
+          expect(timeoutable.isTimedOut()).to.be.false;
+          done();
+        });
+    });
+
+    it('should reject activity of timed out session', function (done) {
+      const lastActivityAt = new Date(Date.now() - 11 * 60 * 1000);
+      User
+        .update({ email }, { $set: { lastActivityAt } })
+        .exec()
+        .then(() => User.findOne({ email }).exec())
+        .then(timeoutable => timeoutable.touchActivity())
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.name).to.equal('SessionTimeoutError');
+          expect(error.code).to.equal('SESSION_TIMEOUT');
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,481 @@
+'use strict';
+
+/**
+ * @file
+ * @name Tokenable
+ * Tokenable is responsible to issue and verify JSON Web Token(JWT) access
+ * tokens as per RFC 7519 for authenticated accounts. Tokens are signed using
+ * HS256 shared secret or RS256 key pair and carry the standard `sub`, `iat`,
+ * `exp` and `jti` claims. Account state is checked again at verify time so
+ * tokens of unregistered, locked or unconfirmed accounts are rejected.
+ * Long lived refresh tokens are kept hashed in companion `RefreshToken`
+ * collection and rotated on every use. Refresh tokens issued from the same
+ * authentication share a family which is revoked as a whole when an already
+ * rotated token is presented again.
+ * It does not extends mongoose schema with any field
+ */
+
+//dependencies
+const path = require('path');
+const crypto = require('crypto');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+// node crypto digest used by each supported JWT algorithm
+const ALGORITHMS = { HS256: 'sha256', RS256: 'RSA-SHA256' };
+
+/**
+ * encode value into base64url string without padding
+ * @param {Buffer|String} value - value to encode
+ * @return {String} - base64url encoded string
+ * @private
+ */
+function base64UrlEncode(value) {
+  return Buffer.from(value)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * decode base64url string into buffer
+ * @param {String} encoded - base64url encoded string
+ * @return {Buffer} - decoded buffer
+ * @private
+ */
+function base64UrlDecode(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * @function
+ * @description build refresh token schema. Refresh token keep digest of the
+ *              token issued to the account together with its family and
+ *              rotation state.
+ * @param {Function} Schema mongoose schema constructor
+ * @param {String} ref name of the model refresh tokens belong to
+ * @private
+ */
+function refreshTokenSchema(Schema, ref) {
+  const RefreshTokenSchema = new Schema({
+    user: {
+      type: Schema.Types.ObjectId,
+      ref,
+      required: true,
+      index: true
+    },
+    // digest of the refresh token
+    token: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // identifier shared by tokens rotated from the same authentication
+    family: {
+      type: String,
+      required: true,
+      index: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    // the time token was exchanged for a new one
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  // let mongodb remove expired tokens
+  RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  return RefreshTokenSchema;
+}
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Tokenable options
+ * @param {string} opts.algorithm - signing algorithm, either HS256 or RS256
+ * @param {string} opts.secret - shared secret used by HS256
+ * @param {string} opts.private_key - PEM encoded private key used to sign by RS256
+ * @param {string} opts.public_key - PEM encoded public key used to verify by RS256
+ * @param {string} opts.issuer - value of `iss` claim, checked at verify time when set
+ * @param {number} opts.ttl - number of seconds before access token expire
+ * @param {number} opts.refresh_token_life - number of days before refresh token expire
+ */
+function Tokenable(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    algorithm: 'HS256',
+    // the time it will take before access token become invalid
+    ttl: 900,
+    // the time it will take before refresh token become invalid
+    refresh_token_life: 30
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  /**
+   * compute signature of the given signing input using configured key
+   * @param {String} input - encoded header and payload joined by dot
+   * @return {Buffer} - signature
+   * @private
+   */
+  const sign = function (input) {
+    if (options.algorithm === 'RS256') {
+      return crypto
+        .createSign(ALGORITHMS.RS256)
+        .update(input)
+        .sign(options.private_key);
+    }
+    return crypto
+      .createHmac(ALGORITHMS.HS256, options.secret)
+      .update(input)
+      .digest();
+  };
+
+  /**
+   * check signature of the given signing input using configured key
+   * @param {String} input - encoded header and payload joined by dot
+   * @param {Buffer} signature - signature to check
+   * @return {Boolean} - true if signature is valid
+   * @private
+   */
+  const verify = function (input, signature) {
+    if (options.algorithm === 'RS256') {
+      return crypto
+        .createVerify(ALGORITHMS.RS256)
+        .update(input)
+        .verify(options.public_key || options.private_key, signature);
+    }
+    const expected = sign(input);
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+  };
+
+  /**
+   * check if signing key of configured algorithm is available
+   * @param {String} purpose - either sign or verify
+   * @return {Boolean} - true if key is available
+   * @private
+   */
+  const hasKey = function (purpose) {
+    if (!ALGORITHMS[options.algorithm]) {
+      return false;
+    }
+    if (options.algorithm === 'RS256') {
+      return purpose === 'sign' ? !!options.private_key :
+        !!(options.public_key || options.private_key);
+    }
+    return !!options.secret;
+  };
+
+  // contribute refresh tokens issuance details to exported personal data,
+  // only when tokens can be issued i.e signing key is configured
+  if (hasKey('sign')) {
+    Utils.addPersonalDataSection(schema, 'refreshTokens', tokenable => tokenable
+      .constructor.refreshTokenModel()
+      .find({ user: tokenable._id })
+      .sort({ issuedAt: -1 })
+      .exec()
+      .then(refreshTokens => refreshTokens.map(refreshToken => Utils
+        .pickPaths(refreshToken, ['issuedAt', 'expiresAt', 'rotatedAt', 'revokedAt']))));
+  }
+
+  /**
+   * check if the account is still allowed to hold tokens
+   * @param {Object} tokenable - account tokens were issued to
+   * @param {String} invalidMessage - message of the error thrown when account
+   * no longer exist
+   * @return {Object} - account
+   * @private
+   */
+  const checkAccount = function (tokenable, invalidMessage) {
+    if (!tokenable || tokenable.unregisteredAt) {
+      throw new createError(401, invalidMessage);
+    }
+    if (tokenable.isLocked && tokenable.isLocked()) {
+      throw new createError(423, tokenable.lockedAccountMessage());
+    }
+    if (tokenable.confirmableBlockAuthenticationMessage) {
+      const message = tokenable.confirmableBlockAuthenticationMessage();
+      if (message) {
+        throw new createError(401, message);
+      }
+    }
+    return tokenable;
+  };
+
+  //--------------------------------------------------------------------------
+  // tokenable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Issue signed access token for the account. This function must be called
+   * within model instance context after successful authentication.
+   *
+   * @param {Object} [claims] - access token details
+   * @param {String|String[]} [claims.audience] - value of `aud` claim
+   * @param {String[]} [claims.scopes] - granted scopes, set as space
+   * separated `scope` claim
+   * @param {Number} [claims.ttl] - number of seconds before access token
+   * expire, default to `ttl` option
+   * @return {Promise} - resolve with `{ accessToken, tokenType, expiresIn,
+   * expiresAt }` or reject with error
+   * @public
+   */
+  schema.methods.issueAccessToken = function ({ audience, scopes, ttl } = {}) {
+    //this context is of model instance
+    const tokenable = this;
+
+    if (!hasKey('sign')) {
+      return Promise.reject(createError(500, 'Access token signing key not configured'));
+    }
+
+    const expiresIn = ttl || options.ttl;
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: String(tokenable._id),
+      iat: issuedAt,
+      exp: issuedAt + expiresIn,
+      jti: crypto.randomBytes(16).toString('hex')
+    };
+    if (options.issuer) {
+      payload.iss = options.issuer;
+    }
+    if (audience) {
+      payload.aud = audience;
+    }
+    if (scopes && scopes.length) {
+      payload.scope = [].concat(scopes).join(' ');
+    }
+
+    const header = { alg: options.algorithm, typ: 'JWT' };
+    const input = [header, payload]
+      .map(part => base64UrlEncode(JSON.stringify(part)))
+      .join('.');
+    const accessToken = `${input}.${base64UrlEncode(sign(input))}`;
+
+    return Promise.resolve({
+      accessToken,
+      tokenType: 'Bearer',
+      expiresIn,
+      expiresAt: new Date(payload.exp * 1000)
+    });
+  };
+
+  /**
+   * @function
+   * Issue refresh token for the account. Only digest of the token is
+   * persisted so the plain token resolved has to be handed to the client
+   * right away.
+   *
+   * @param {Object} [details] - refresh token details
+   * @param {String} [details.family] - family of the token, a new family is
+   * started if not given
+   * @return {Promise} - resolve with `{ user, refreshToken, expiresAt }` or
+   * reject with error
+   * @public
+   */
+  schema.methods.issueRefreshToken = function ({ family } = {}) {
+    //this context is of model instance
+    const tokenable = this;
+    const RefreshToken = tokenable.constructor.refreshTokenModel();
+
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    return RefreshToken
+      .create({
+        user: tokenable._id,
+        token: Utils.digest(refreshToken),
+        family: family || crypto.randomBytes(16).toString('hex'),
+        expiresAt: Utils.addDays(options.refresh_token_life)
+      })
+      .then(issued => ({ user: tokenable, refreshToken, expiresAt: issued.expiresAt }));
+  };
+
+
+  /**
+   * @function
+   * Revoke every refresh token of the account e.g after password change
+   *
+   * @return {Promise} - resolve with tokenable or reject with error
+   * @public
+   */
+  schema.methods.revokeRefreshTokens = function () {
+    //this context is of model instance
+    const tokenable = this;
+    const RefreshToken = tokenable.constructor.refreshTokenModel();
+
+    return RefreshToken
+      .update({ user: tokenable._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }, { multi: true })
+      .exec()
+      .then(() => tokenable);
+  };
+
+  //--------------------------------------------------------------------------
+  // tokenable static methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Verify access token issued by `issueAccessToken`. Besides signature,
+   * expiry, issuer and audience, it check that the account still exist and
+   * is neither unregistered, locked nor unconfirmed.
+   *
+   * @param {String} token - access token
+   * @param {Object} [expected] - expected claims
+   * @param {String} [expected.audience] - audience the token must be issued for
+   * @return {Promise} - resolve with `{ user, claims }` or reject with error
+   * @public
+   */
+  schema.statics.verifyAccessToken = function (token, { audience } = {}) {
+    //this refer to model static context
+    const Tokenable = this;
+
+    if (!hasKey('verify')) {
+      return Promise.reject(createError(500, 'Access token signing key not configured'));
+    }
+
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return Promise.reject(createError(401, 'Invalid access token'));
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]).toString());
+      claims = JSON.parse(base64UrlDecode(parts[1]).toString());
+    } catch (error) {
+      return Promise.reject(createError(401, 'Invalid access token'));
+    }
+
+    // only accept configured algorithm to prevent algorithm substitution
+    const input = `${parts[0]}.${parts[1]}`;
+    const isSigned = header && header.alg === options.algorithm &&
+      verify(input, base64UrlDecode(parts[2]));
+    if (!isSigned || !claims || !claims.sub) {
+      return Promise.reject(createError(401, 'Invalid access token'));
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || now >= claims.exp) {
+      return Promise.reject(createError(401, 'Access token expired'));
+    }
+    if (options.issuer && claims.iss !== options.issuer) {
+      return Promise.reject(createError(401, 'Invalid access token'));
+    }
+    if (audience && [].concat(claims.aud).indexOf(audience) === -1) {
+      return Promise.reject(createError(401, 'Invalid access token'));
+    }
+
+    return Tokenable
+      .findById(claims.sub)
+      .exec()
+      .then(tokenable => ({ user: checkAccount(tokenable, 'Invalid access token'), claims }));
+  };
+
+
+  /**
+   * @function
+   * Get model of the refresh tokens companion collection
+   *
+   * @return {Model} - refresh token model
+   * @public
+   */
+  schema.statics.refreshTokenModel = function () {
+    //this refer to model static context
+    const Tokenable = this;
+    return Utils.companionModel(Tokenable, 'RefreshToken', refreshTokenSchema);
+  };
+
+
+  /**
+   * @function
+   * Exchange refresh token for a new one. The presented token is rotated
+   * atomically so it can be exchanged only once. Presenting a token which
+   * has already been rotated is treated as token theft and revoke the whole
+   * token family. Account whose password has expired is rejected with
+   * `PasswordExpiredError`.
+   *
+   * @param {String} refreshToken - refresh token
+   * @return {Promise} - resolve with `{ user, refreshToken }` or reject with error
+   * @public
+   */
+  schema.statics.refresh = function (refreshToken) {
+    //this refer to model static context
+    const Tokenable = this;
+    const RefreshToken = Tokenable.refreshTokenModel();
+
+    if (!refreshToken) {
+      return Promise.reject(createError(401, 'Invalid refresh token'));
+    }
+
+    const token = Utils.digest(refreshToken);
+    const now = new Date();
+    return RefreshToken
+      .findOneAndUpdate(
+        { token, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { rotatedAt: now } }
+      )
+      .exec()
+      .then(rotated => {
+        if (rotated) {
+          return rotated;
+        }
+        return RefreshToken
+          .findOne({ token })
+          .exec()
+          .then(presented => {
+            if (!presented || presented.revokedAt) {
+              throw new createError(401, 'Invalid refresh token');
+            }
+            if (!presented.rotatedAt) {
+              throw new createError(401, 'Refresh token expired');
+            }
+            // rotated token presented again, revoke its family
+            return RefreshToken
+              .update({ family: presented.family, revokedAt: null },
+                { $set: { revokedAt: now } }, { multi: true })
+              .exec()
+              .then(() => {
+                throw new createError(401, 'Refresh token reused');
+              });
+          });
+      })
+      .then(rotated => Tokenable
+        .findById(rotated.user)
+        .exec()
+        .then(tokenable => {
+          checkAccount(tokenable, 'Invalid refresh token');
+          // refresh is a sign in, expired password has to be changed first
+          if (tokenable.isPasswordExpired && tokenable.isPasswordExpired()) {
+            throw new createError(403, 'Password expired', {
+              name: 'PasswordExpiredError',
+              code: 'PASSWORD_EXPIRED'
+            });
+          }
+          return tokenable.issueRefreshToken({ family: rotated.family });
+        })
+        .then(issued => ({ user: issued.user, refreshToken: issued.refreshToken })));
+  };
+}
+
+
+// export module
+module.exports = Tokenable;
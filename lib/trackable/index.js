@@ -1,6 +1,60 @@
 'use strict';
 
 //dependencies
+const path = require('path');
+const deepmerge = require('deepmerge');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+// possible authentication outcomes recorded in sign in history
+const OUTCOMES = [
+    'success', 'bad_password', 'bad_second_factor', 'bad_login_code', 'locked', 'unconfirmed'
+];
+
+/**
+ * @function
+ * @description build sign in event schema. Sign in event keep record of
+ *              every authentication attempt of an account.
+ * @param {Function} Schema mongoose schema constructor
+ * @param {String} ref name of the model sign in events belong to
+ * @param {Object} options sign in history options
+ * @private
+ */
+function signInEventSchema(Schema, ref, options) {
+    const SignInEventSchema = new Schema({
+        user: {
+            type: Schema.Types.ObjectId,
+            ref,
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        ipAddress: {
+            type: String,
+            default: null
+        },
+        userAgent: {
+            type: String,
+            default: null
+        },
+        outcome: {
+            type: String,
+            enum: OUTCOMES,
+            required: true
+        }
+    });
+
+    // support querying account history starting with the most recent
+    SignInEventSchema.index({ user: 1, at: -1 });
+
+    // let mongodb remove events older than retention period if any
+    const retention = options.retention_days ?
+        { expireAfterSeconds: options.retention_days * 24 * 60 * 60 } : {};
+    SignInEventSchema.index({ at: 1 }, retention);
+
+    return SignInEventSchema;
+}
 
 /**
  * @constructor
@@ -8,9 +62,28 @@
  * @description Track account signin details.
  *              See {@link http://www.rubydoc.info/github/plataformatec/devise/master/Devise/Models/Trackable|Trackable}
  *
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - Trackable options
+ * @param {boolean} opts.enabled - whether successful authentication should be tracked automatically
+ * @param {object} opts.history - sign in history options
+ * @param {boolean} opts.history.enabled - whether every authentication attempt should be
+ *                                         recorded in companion `SignInEvent` collection
+ * @param {number} opts.history.retention_days - number of days to keep sign in events,
+ *                                               events are kept forever if not set
  * @public
  */
-module.exports = exports = function Trackable(schema) {
+module.exports = exports = function Trackable(schema, opts = {}) {
+    // init defaults
+    const defaults = {
+        enabled: false,
+        history: {
+            enabled: false,
+            retention_days: null
+        }
+    };
+
+    //prepare options
+    const options = deepmerge(defaults, opts);
 
     //add trackable schema fields
     schema.add({
@@ -36,14 +109,40 @@ module.exports = exports = function Trackable(schema) {
             default: null,
             hide: true
         },
+        currentSignInUserAgent: {
+            type: String,
+            default: null,
+            hide: true
+        },
         lastSignInIpAddress: {
             type: String,
             index: true,
             default: null,
             hide: true
+        },
+        lastSignInUserAgent: {
+            type: String,
+            default: null,
+            hide: true
         }
     });
 
+    // contribute sign in details to exported personal data
+    Utils.addPersonalDataSection(schema, 'tracking', trackable => Utils
+        .pickPaths(trackable, [
+            'signInCount', 'currentSignInAt', 'currentSignInIpAddress',
+            'currentSignInUserAgent', 'lastSignInAt', 'lastSignInIpAddress',
+            'lastSignInUserAgent'
+        ]));
+
+    // contribute sign in history to exported personal data
+    if (options.history.enabled) {
+        Utils.addPersonalDataSection(schema, 'signInHistory', trackable => trackable
+            .signInHistory()
+            .then(events => events.map(event => Utils
+                .pickPaths(event, ['at', 'ipAddress', 'userAgent', 'outcome']))));
+    }
+
     //--------------------------------------------------------------------------
     //trackable instance methods
     //--------------------------------------------------------------------------
@@ -53,25 +152,31 @@ module.exports = exports = function Trackable(schema) {
      * @description update tracking details of the model instance.
      *              This method must be called within mode instance context.
      *
-     * @param  {String}   ipAddress current remote ip address of the signin account
+     * @param  {String|Object}   context current remote ip address of the signin
+     *                                    account or object with `ipAddress` and `userAgent`
      * @param {track~callback} done callback that handles the response.
      * @return Promise resolve with trackable or reject with error
      * @private
      */
-    schema.methods.track = function (ipAddress, done) {
+    schema.methods.track = function (context, done) {
         //this refer model instance context
         var trackable = this;
 
+        const { ipAddress = null, userAgent = null } =
+            typeof context === 'string' ? { ipAddress: context } : Object.assign({}, context);
+
         //update signInCount
         trackable.signInCount = trackable.signInCount + 1;
 
         //update previous sign in details
         trackable.lastSignInAt = trackable.currentSignInAt;
         trackable.lastSignInIpAddress = trackable.currentSignInIpAddress;
+        trackable.lastSignInUserAgent = trackable.currentSignInUserAgent;
 
         //update current sign in details
         trackable.currentSignInAt = new Date();
         trackable.currentSignInIpAddress = ipAddress;
+        trackable.currentSignInUserAgent = userAgent;
 
         //save tracking details
         return trackable
@@ -91,13 +196,109 @@ module.exports = exports = function Trackable(schema) {
                 }
             });
     };
+
+    /**
+     * @function
+     * @description Called by authenticable after successful authentication
+     *              to track sign in details when trackable is enabled.
+     *
+     * @param {Object} context authentication context with `ipAddress` and `userAgent`
+     * @return Promise resolve with trackable or reject with error
+     * @private
+     */
+    schema.methods.trackSignIn = function (context) {
+        //this refer model instance context
+        const trackable = this;
+        if (!options.enabled) {
+            return Promise.resolve(trackable);
+        }
+        return trackable.track(context);
+    };
+
+
+    /**
+     * @function
+     * @description get model of companion collection used to keep sign in history.
+     *              Model is named by suffixing account model name with `SignInEvent`.
+     *              This method must be called within model static context.
+     *
+     * @return {Model} sign in event model
+     * @public
+     */
+    schema.statics.signInEventModel = function () {
+        //this refer to model static context
+        const Trackable = this;
+        return Utils.companionModel(Trackable, 'SignInEvent',
+            (Schema, ref) => signInEventSchema(Schema, ref, options.history));
+    };
+
+
+    /**
+     * @function
+     * @description Called by authenticable on every authentication attempt to
+     *              record its outcome when sign in history is enabled.
+     *
+     * @param {String} outcome one of `success`, `bad_password`, `bad_second_factor`,
+     *                         `bad_login_code`, `locked` or `unconfirmed`
+     * @param {Object} context authentication context with `ipAddress` and `userAgent`
+     * @return Promise resolve with trackable or reject with error
+     * @private
+     */
+    schema.methods.recordSignInEvent = function (outcome, context = {}) {
+        //this refer model instance context
+        const trackable = this;
+        if (!options.history.enabled) {
+            return Promise.resolve(trackable);
+        }
+        const SignInEvent = trackable.constructor.signInEventModel();
+        return SignInEvent
+            .create({
+                user: trackable._id,
+                outcome,
+                ipAddress: context.ipAddress,
+                userAgent: context.userAgent
+            })
+            .then(() => trackable);
+    };
+
+
+    /**
+     * @function
+     * @description Get sign in history of the account starting with the most recent.
+     *
+     * @param {Object} [criteria] history filters
+     * @param {Number} [criteria.limit] maximum number of events to return
+     * @param {Date} [criteria.since] return only events which occur on or after this date
+     * @param {String} [criteria.outcome] return only events with this outcome
+     * @return Promise resolve with list of sign in events or reject with error
+     * @public
+     */
+    schema.methods.signInHistory = function ({ limit, since, outcome } = {}) {
+        //this refer model instance context
+        const trackable = this;
+        const SignInEvent = trackable.constructor.signInEventModel();
+
+        const criteria = { user: trackable._id };
+        if (since) {
+            criteria.at = { $gte: since };
+        }
+        if (outcome) {
+            criteria.outcome = outcome;
+        }
+        const query = SignInEvent.find(criteria).sort({ at: -1 });
+        if (limit) {
+            query.limit(limit);
+        }
+        return query.exec();
+    };
+
     //documentation for `done` callback of `track`
     /**
      * @description a callback to be called once update trackable details is done
      * @callback track~callback
      * @param {Object} error any error encountered during update tracking details
      * @param {Object} trackable trackable instance with `lastSignInAt`, `lastSignInIpAddress`
-     *                           `currentSignInAt`, `currentSignInIpAddress` 
-     *                           updated and persisted
+     *                           `lastSignInUserAgent`, `currentSignInAt`, `currentSignInIpAddress`
+     *                           and `currentSignInUserAgent` updated and persisted
      */
 };
\ No newline at end of file
@@ -6,15 +6,18 @@ var path = require('path');
 var mongoose = require('mongoose');
 var expect = require('chai').expect;
 var Schema = mongoose.Schema;
-var irina = require(path.join(__dirname, '..', 'index'));
+var Registerable = require(path.join(__dirname, '..', 'registerable'));
+var Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+var Trackable = require(path.join(__dirname, 'index'));
 
-describe.skip('Trackable', function () {
+describe('Trackable', function () {
 
     describe('Basic trackable',function () {
         let User;
         before(function (done) {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina);
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Trackable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
 
             done();
@@ -26,6 +29,8 @@ describe.skip('Trackable', function () {
             expect(User.schema.paths.currentSignInIpAddress).to.exist;
             expect(User.schema.paths.lastSignInAt).to.exist;
             expect(User.schema.paths.lastSignInIpAddress).to.exist;
+            expect(User.schema.paths.currentSignInUserAgent).to.exist;
+            expect(User.schema.paths.lastSignInUserAgent).to.exist;
             done();
         });
     });
@@ -39,7 +44,8 @@ describe.skip('Trackable', function () {
 
         before(function (done) {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina);
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Trackable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
 
             done();
@@ -96,7 +102,8 @@ describe.skip('Trackable', function () {
 
         before(function (done) {
             const UserSchema = new Schema({});
-            UserSchema.plugin(irina);
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Trackable);
             User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
 
             done();
@@ -125,4 +132,126 @@ describe.skip('Trackable', function () {
         });
     });
 
+
+    describe('Track Authentication', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
+        const ipAddress = faker.internet.ip();
+        const userAgent = faker.internet.userAgent();
+
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Trackable, { enabled: true });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password })
+                .then(() => done());
+        });
+
+        it('should track sign in details on authentication', function (done) {
+            User
+                .authenticate(email, password, { ipAddress, userAgent })
+                .then(trackable => {
+                    expect(trackable.signInCount).to.equal(1);
+                    expect(trackable.currentSignInAt).to.not.be.null;
+                    expect(trackable.lastSignInAt).to.be.null;
+                    expect(trackable.currentSignInIpAddress).to.equal(ipAddress);
+                    expect(trackable.currentSignInUserAgent).to.equal(userAgent);
+                    done();
+                });
+        });
+
+        it('should shift previous sign in details on next authentication', function (done) {
+            User
+                .authenticate(email, password)
+                .then(trackable => {
+                    expect(trackable.signInCount).to.equal(2);
+                    expect(trackable.lastSignInAt).to.not.be.null;
+                    expect(trackable.lastSignInIpAddress).to.equal(ipAddress);
+                    expect(trackable.lastSignInUserAgent).to.equal(userAgent);
+                    expect(trackable.currentSignInIpAddress).to.be.null;
+                    done();
+                });
+        });
+    });
+
+
+    describe('Sign In History', function () {
+        let User;
+        const email = faker.internet.email().toLowerCase();
+        const password = faker.internet.password();
+        const ipAddress = faker.internet.ip();
+
+        before(function () {
+            const UserSchema = new Schema({});
+            UserSchema.plugin(Registerable);
+            UserSchema.plugin(Authenticable);
+            UserSchema.plugin(Trackable, { history: { enabled: true, retention_days: 90 } });
+            User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+        });
+
+        before(function (done) {
+            User
+                .register({ email, password })
+                .then(() => User.authenticate(email, faker.internet.password(), { ipAddress }))
+                .catch(() => User.authenticate(email, password, { ipAddress }))
+                .then(() => done());
+        });
+
+        it('should have sign in event model', function () {
+            const SignInEvent = User.signInEventModel();
+            expect(SignInEvent.modelName).to.equal(`${User.modelName}SignInEvent`);
+            expect(SignInEvent.schema.paths.user).to.exist;
+            expect(SignInEvent.schema.paths.outcome).to.exist;
+        });
+
+        it('should record every authentication attempt', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(trackable => trackable.signInHistory())
+                .then(events => {
+                    expect(events).to.have.length(2);
+                    expect(events[0].outcome).to.equal('success');
+                    expect(events[1].outcome).to.equal('bad_password');
+                    expect(events[1].ipAddress).to.equal(ipAddress);
+                    done();
+                });
+        });
+
+        it('should be able to limit sign in history', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(trackable => trackable.signInHistory({ limit: 1, outcome: 'success' }))
+                .then(events => {
+                    expect(events).to.have.length(1);
+                    expect(events[0].outcome).to.equal('success');
+                    done();
+                });
+        });
+
+        it('should export sign in details and history as personal data', function (done) {
+            User
+                .findOne({ email })
+                .exec()
+                .then(trackable => trackable.exportPersonalData())
+                .then(exported => {
+                    expect(exported.tracking).to.have.property('signInCount');
+                    expect(exported.signInHistory).to.have.length(2);
+                    expect(exported.signInHistory[1])
+                        .to.have.keys(['at', 'ipAddress', 'userAgent', 'outcome']);
+                    expect(exported.signInHistory[1].ipAddress).to.equal(ipAddress);
+                    expect(exported.signInHistory[1].outcome).to.equal('bad_password');
+                    done();
+                });
+        });
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,584 @@
+'use strict';
+
+/**
+ * @file
+ * @name TwoFactorable
+ * TwoFactorable is responsible for time based one time password(TOTP) second
+ * factor authentication as per RFC 6238. Account enroll TOTP secret using
+ * authenticator app and once enrolled, authentication become two steps flow
+ * where by password authentication resolve with second factor challenge which
+ * has to be completed with the code from authenticator app.
+ * It extends mongoose schema by adding the followings
+ *  + totpSecret
+ *  + totpEnabledAt
+ *  + totpLastUsedStep
+ *  + totpChallenge
+ *  + totpChallengeExpiryAt
+ *  + totpChallengeAttempts
+ *  + recoveryCodes
+ */
+
+//dependencies
+const path = require('path');
+const crypto = require('crypto');
+const createError = require('http-errors');
+const deepmerge = require('deepmerge');
+const randomize = require('randomatic');
+const Utils = require(path.join(__dirname, '..', 'utils'));
+
+// RFC 4648 base32 alphabet used to share TOTP secret with authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * encode buffer into base32 string without padding
+ * @param {Buffer} buffer - buffer to encode
+ * @return {String} - base32 encoded string
+ * @private
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * decode base32 string into buffer
+ * @param {String} encoded - base32 encoded string
+ * @return {Buffer} - decoded buffer
+ * @private
+ */
+function base32Decode(encoded) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  const input = encoded.toUpperCase().replace(/=+$/, '');
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * generate HMAC based one time password as per RFC 4226
+ * @param {Buffer} secret - shared secret
+ * @param {Number} counter - moving factor, time step for TOTP
+ * @param {Number} digits - number of digits of the password
+ * @return {String} - one time password
+ * @private
+ */
+function hotp(secret, counter, digits) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter % 0x100000000, 4);
+  const hmac = crypto.createHmac('sha1', secret).update(buffer).digest();
+  // dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+  const code = binary % Math.pow(10, digits);
+  return ('0'.repeat(digits) + code).slice(-digits);
+}
+
+/**
+ * @param {object} schema - mongoose schema
+ * @param {object} opts - TwoFactorable options
+ * @param {string} opts.issuer - name of the application shown by authenticator apps
+ * @param {string} opts.label_field - account field used to label the account in authenticator apps
+ * @param {number} opts.digits - number of digits of the TOTP code
+ * @param {number} opts.period - number of seconds TOTP code is valid for
+ * @param {number} opts.window - number of time steps before and after the current
+ * one for which TOTP code is accepted to allow for clock drift
+ * @param {number} opts.challenge_life - number of minutes before second factor challenge expire
+ * @param {number} opts.max_challenge_attempts - number of wrong codes before
+ * second factor challenge is invalidated
+ * @param {number} opts.recovery_codes - number of recovery codes generated at once
+ */
+function TwoFactorable(schema, opts = {}) {
+  // init defaults
+  const defaults = {
+    issuer: 'Jabali',
+    label_field: 'email',
+    digits: 6,
+    period: 30,
+    window: 1,
+    challenge_life: 5,
+    max_challenge_attempts: 5,
+    recovery_codes: 10
+  };
+
+  //prepare options
+  const options = deepmerge(defaults, opts);
+
+  // twofactorable schema fields
+  const fields = {
+    // base32 encoded TOTP shared secret
+    totpSecret: {
+      type: String,
+      default: null,
+      hide: true
+    },
+    // the time TOTP enrollment was confirmed
+    totpEnabledAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // the last time step which TOTP code was accepted, used to prevent code reuse
+    totpLastUsedStep: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // digest of second factor challenge issued after password authentication
+    totpChallenge: {
+      type: String,
+      default: null,
+      index: true,
+      hide: true
+    },
+    // the time second factor challenge get expired
+    totpChallengeExpiryAt: {
+      type: Date,
+      default: null,
+      hide: true
+    },
+    // number of wrong codes entered for current second factor challenge
+    totpChallengeAttempts: {
+      type: Number,
+      default: 0,
+      hide: true
+    },
+    // hashes of unused single use recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      hide: true
+    }
+  };
+  // add new fields into the schema
+  schema.add(fields);
+
+  // contribute second factor enrollment to exported personal data
+  Utils.addPersonalDataSection(schema, 'twoFactor', twofactorable => Utils
+    .pickPaths(twofactorable, ['totpEnabledAt']));
+
+  /**
+   * compute current TOTP time step
+   * @return {Number} - current time step
+   * @private
+   */
+  const currentStep = () => Math.floor(Date.now() / 1000 / options.period);
+
+  //--------------------------------------------------------------------------
+  // twofactorable instance methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Check if account has TOTP second factor enabled.
+   * It is called by authenticable to decide whether password authentication
+   * should resolve with second factor challenge.
+   *
+   * @return {Boolean} - true if second factor is required
+   * @private
+   */
+  schema.methods.requiresSecondFactor = function () {
+    const twofactorable = this;
+    return !!(twofactorable.totpEnabledAt && twofactorable.totpSecret);
+  };
+
+
+  /**
+   * @function
+   * Find the time step which the given code was generated for within the
+   * allowed clock drift window.
+   *
+   * @param {String} code - TOTP code
+   * @return {Number} - matching time step or -1 if code is invalid
+   * @private
+   */
+  schema.methods.findTotpStep = function (code) {
+    const twofactorable = this;
+    if (!code || !twofactorable.totpSecret) {
+      return -1;
+    }
+    const candidate = Buffer.from(String(code).trim());
+    const secret = base32Decode(twofactorable.totpSecret);
+    const step = currentStep();
+    for (let drift = -options.window; drift <= options.window; drift++) {
+      const expected = Buffer.from(hotp(secret, step + drift, options.digits));
+      if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+        return step + drift;
+      }
+    }
+    return -1;
+  };
+
+
+  /**
+   * @function
+   * Generate TOTP code of the current time step. It mirrors what
+   * authenticator app display and is mainly useful for testing.
+   *
+   * @return {String} - current TOTP code
+   * @private
+   */
+  schema.methods.currentTotp = function () {
+    const twofactorable = this;
+    const secret = base32Decode(twofactorable.totpSecret);
+    return hotp(secret, currentStep(), options.digits);
+  };
+
+
+  /**
+   * @function
+   * Verify TOTP code and mark its time step as used so that the same code or
+   * any older one can not be used again. Marking is done atomically on the
+   * database so concurrent requests can not use the same code.
+   *
+   * @param {String} code - TOTP code
+   * @return {Promise} - resolve with up to date twofactorable or null if the
+   * code is invalid or has already been used
+   * @private
+   */
+  schema.methods.verifyTotp = function (code) {
+    const twofactorable = this;
+    const TwoFactorable = twofactorable.constructor;
+    const step = twofactorable.findTotpStep(code);
+    if (step === -1) {
+      return Promise.resolve(null);
+    }
+    return TwoFactorable
+      .findOneAndUpdate(
+        { _id: twofactorable._id, totpLastUsedStep: { $lt: step } },
+        { $set: { totpLastUsedStep: step } },
+        { new: true }
+      )
+      .exec();
+  };
+
+
+  /**
+   * @function
+   * Start TOTP enrollment by generating new shared secret. The secret is not
+   * used for authentication until enrollment is confirmed using
+   * {@see confirmTotpEnrollment}.
+   *
+   * @return {Promise} - resolve with `otpauth://` URI to be rendered as QR
+   * code for authenticator apps or reject with error
+   * @public
+   */
+  schema.methods.beginTotpEnrollment = function () {
+    const twofactorable = this;
+    if (twofactorable.requiresSecondFactor()) {
+      return Promise.reject(createError(409, 'Two factor authentication already enabled'));
+    }
+    twofactorable.totpSecret = base32Encode(crypto.randomBytes(20));
+    twofactorable.totpLastUsedStep = 0;
+    return twofactorable
+      .save()
+      .then(twofactorable => twofactorable.totpUri());
+  };
+
+
+  /**
+   * @function
+   * Build `otpauth://` URI of the account TOTP secret
+   *
+   * @return {String} - otpauth URI
+   * @private
+   */
+  schema.methods.totpUri = function () {
+    const twofactorable = this;
+    const issuer = encodeURIComponent(options.issuer);
+    const label = encodeURIComponent(twofactorable.get(options.label_field) ||
+      String(twofactorable._id));
+    return `otpauth://totp/${issuer}:${label}?secret=${twofactorable.totpSecret}` +
+      `&issuer=${issuer}&algorithm=SHA1&digits=${options.digits}&period=${options.period}`;
+  };
+
+
+  /**
+   * @function
+   * Confirm TOTP enrollment using the code generated by authenticator app.
+   * Once confirmed, authentication requires second factor.
+   *
+   * @param {String} code - TOTP code
+   * @return {Promise} - resolve with twofactorable or reject with error
+   * @public
+   */
+  schema.methods.confirmTotpEnrollment = function (code) {
+    const twofactorable = this;
+    if (!twofactorable.totpSecret) {
+      return Promise.reject(createError(400, 'Two factor enrollment not started'));
+    }
+    if (twofactorable.requiresSecondFactor()) {
+      return Promise.reject(createError(409, 'Two factor authentication already enabled'));
+    }
+    return twofactorable
+      .verifyTotp(code)
+      .then(verified => {
+        if (!verified) {
+          throw new createError(400, 'Invalid authentication code');
+        }
+        verified.totpEnabledAt = new Date();
+        return verified.save();
+      });
+  };
+
+
+  /**
+   * @function
+   * Disable TOTP second factor of the account
+   *
+   * @return {Promise} - resolve with twofactorable or reject with error
+   * @public
+   */
+  schema.methods.disableTotp = function () {
+    const twofactorable = this;
+    twofactorable.totpSecret = null;
+    twofactorable.totpEnabledAt = null;
+    twofactorable.totpLastUsedStep = 0;
+    twofactorable.totpChallenge = null;
+    twofactorable.totpChallengeExpiryAt = null;
+    return twofactorable.save();
+  };
+
+
+  /**
+   * @function
+   * Issue second factor challenge after successful password authentication.
+   * Only the challenge digest is persisted.
+   *
+   * @return {Promise} - resolve with challenge details i.e
+   * `{ secondFactorRequired, challenge, challengeExpiryAt }`
+   * @private
+   */
+  schema.methods.createSecondFactorChallenge = function () {
+    const twofactorable = this;
+    const challenge = crypto.randomBytes(32).toString('hex');
+    twofactorable.totpChallenge = Utils.digest(challenge);
+    twofactorable.totpChallengeExpiryAt = Utils.addMinutes(options.challenge_life);
+    twofactorable.totpChallengeAttempts = 0;
+    return twofactorable
+      .save()
+      .then(twofactorable => ({
+        secondFactorRequired: true,
+        challenge,
+        challengeExpiryAt: twofactorable.totpChallengeExpiryAt
+      }));
+  };
+
+  /**
+   * @function
+   * Generate new set of single use recovery codes replacing the previous
+   * ones. Only code hashes are persisted so plain codes must be shown to the
+   * account owner right away.
+   *
+   * @param {Number} [n] - number of codes to generate
+   * @return {Promise} - resolve with list of plain recovery codes
+   * @public
+   */
+  schema.methods.generateRecoveryCodes = function (n = options.recovery_codes) {
+    const twofactorable = this;
+    const codes = Array.from({ length: n }, () =>
+      `${randomize('a0', 5)}-${randomize('a0', 5)}`);
+    return Promise
+      .all(codes.map(code => Utils.hash(code)))
+      .then(hashes => {
+        twofactorable.recoveryCodes = hashes;
+        return twofactorable.save();
+      })
+      .then(() => codes);
+  };
+
+
+  /**
+   * @function
+   * Count recovery codes which have not been used yet
+   *
+   * @return {Number} - number of remaining recovery codes
+   * @public
+   */
+  schema.methods.remainingRecoveryCodes = function () {
+    const twofactorable = this;
+    return twofactorable.recoveryCodes ? twofactorable.recoveryCodes.length : 0;
+  };
+
+
+  /**
+   * @function
+   * Burn recovery code if it match any of the unused ones. Burning is done
+   * atomically on the database so the same code can not be used twice.
+   *
+   * @param {String} code - recovery code
+   * @return {Promise} - resolve with up to date twofactorable or null if the
+   * code is invalid or has already been used
+   * @private
+   */
+  schema.methods.useRecoveryCode = function (code) {
+    const twofactorable = this;
+    const TwoFactorable = twofactorable.constructor;
+    const hashes = twofactorable.recoveryCodes || [];
+    const candidate = String(code).trim().toLowerCase();
+    return Promise
+      .all(hashes.map(hash => Utils.compare(candidate, hash)))
+      .then(matches => {
+        const hash = hashes[matches.indexOf(true)];
+        if (!hash) {
+          return null;
+        }
+        return TwoFactorable
+          .findOneAndUpdate(
+            { _id: twofactorable._id, recoveryCodes: hash },
+            { $pull: { recoveryCodes: hash } },
+            { new: true }
+          )
+          .exec();
+      });
+  };
+
+  //--------------------------------------------------------------------------
+  // twofactorable static methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * @function
+   * Complete two steps authentication using second factor challenge resolved
+   * by `authenticate` and TOTP code from authenticator app. Lockable and
+   * confirmable checks are applied again and wrong codes count as failed
+   * authentication attempts. Challenge is invalidated after
+   * `max_challenge_attempts` wrong codes so the account owner has to
+   * authenticate with password again.
+   *
+   * @param {String} challenge - second factor challenge
+   * @param {String} code - TOTP code
+   * @param {Object} [context] - details of the authentication request
+   * @return {Promise} - resolve with twofactorable or reject with error
+   * @public
+   */
+  schema.statics.authenticateWithTotp = function (challenge, code, context = {}) {
+    //this refer to model static context
+    const TwoFactorable = this;
+    if (!challenge || !code) {
+      return Promise.reject(createError(400, 'Invalid authentication data'));
+    }
+    return TwoFactorable
+      .findOne({ totpChallenge: Utils.digest(challenge) })
+      .exec()
+      .then(twofactorable => {
+        if (!twofactorable) {
+          throw new createError(401, 'Invalid second factor challenge');
+        }
+        const isExpired = !Utils.isAfter(new Date(), twofactorable.totpChallengeExpiryAt);
+        if (isExpired) {
+          throw new createError(401, 'Second factor challenge expired');
+        }
+        return twofactorable.checkAuthenticationBlock(context);
+      })
+      .then(twofactorable => twofactorable
+        .verifyTotp(code)
+        .then(verified => {
+          if (!verified) {
+            const paths = {
+              token: 'totpChallenge',
+              expiry: 'totpChallengeExpiryAt',
+              attempts: 'totpChallengeAttempts'
+            };
+            return Utils
+              .registerTokenAttempt(TwoFactorable, twofactorable, paths,
+                options.max_challenge_attempts)
+              .then(isInvalidated => twofactorable
+                .registerFailedAuthentication('bad_second_factor', context)
+                .then(twofactorable => {
+                  if (twofactorable.isLocked && twofactorable.isLocked()) {
+                    throw new createError(423, twofactorable.lockedAccountMessage());
+                  }
+                  if (isInvalidated) {
+                    throw new createError(401, 'Second factor challenge invalidated. Authenticate again');
+                  }
+                  throw new createError(400, 'Invalid authentication code');
+                }));
+          }
+          // challenge is single use
+          verified.totpChallenge = null;
+          verified.totpChallengeExpiryAt = null;
+          verified.totpChallengeAttempts = 0;
+          return verified
+            .save()
+            .then(verified => verified.completeAuthentication(context));
+        }));
+  };
+
+
+  /**
+   * @function
+   * Authenticate using password and single use recovery code for account
+   * owners who have lost access to their second factor, email or phone.
+   * Second factor and confirmable checks are bypassed but lockable checks
+   * still apply. Used code is burnt and account owner is notified through
+   * `RECOVERY_CODE_USED` notification.
+   *
+   * @param {String} username - username to authenticate
+   * @param {String} password - password
+   * @param {String} code - recovery code
+   * @param {Object} [context] - details of the authentication request
+   * @return {Promise} - resolve with twofactorable or reject with error
+   * @public
+   */
+  schema.statics.authenticateWithRecoveryCode = function (username, password, code, context = {}) {
+    //this refer to model static context
+    const TwoFactorable = this;
+    if (!code) {
+      return Promise.reject(createError(400, 'Invalid authentication data'));
+    }
+    return TwoFactorable
+      .verifyCredentials(username, password, context)
+      .then(twofactorable => twofactorable
+        .checkAuthenticationBlock(context, { confirmable: false }))
+      .then(twofactorable => twofactorable
+        .useRecoveryCode(code)
+        .then(used => {
+          if (!used) {
+            return twofactorable
+              .registerFailedAuthentication('bad_second_factor', context)
+              .then(twofactorable => {
+                if (twofactorable.isLocked && twofactorable.isLocked()) {
+                  throw new createError(423, twofactorable.lockedAccountMessage());
+                }
+                throw new createError(400, 'Invalid recovery code');
+              });
+          }
+          return used
+            .sendJabaliNotification('RECOVERY_CODE_USED', used)
+            .then(() => used.completeAuthentication(context));
+        }));
+  };
+}
+
+
+// export module
+module.exports = TwoFactorable;
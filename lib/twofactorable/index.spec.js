@@ -0,0 +1,288 @@
+'use strict';
+
+//dependencies
+const faker = require('faker');
+const path = require('path');
+const mongoose = require('mongoose');
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const Schema = mongoose.Schema;
+const Registerable = require(path.join(__dirname, '..', 'registerable'));
+const Authenticable = require(path.join(__dirname, '..', 'authenticable'));
+const Lockable = require(path.join(__dirname, '..', 'lockable'));
+const TwoFactorable = require(path.join(__dirname, 'index'));
+
+
+describe('TwoFactorable', function () {
+
+  describe('Schema setup', function () {
+    let User;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(TwoFactorable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    it('should have twofactorable attributes', function () {
+      expect(User.schema.paths.totpSecret).to.exist;
+      expect(User.schema.paths.totpEnabledAt).to.exist;
+      expect(User.schema.paths.totpLastUsedStep).to.exist;
+      expect(User.schema.paths.totpChallenge).to.exist;
+      expect(User.schema.paths.totpChallengeExpiryAt).to.exist;
+      expect(User.schema.paths.totpChallengeAttempts).to.exist;
+    });
+  });
+
+
+  describe('TOTP Enrollment', function () {
+    let User;
+    let user;
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(TwoFactorable, { issuer: 'Jabali Test' });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({
+          email: faker.internet.email(),
+          password: faker.internet.password()
+        })
+        .then(registered => {
+          user = registered;
+          done();
+        });
+    });
+
+    it('should be able to begin enrollment', function (done) {
+      user
+        .beginTotpEnrollment()
+        .then(uri => {
+          expect(uri).to.match(/^otpauth:\/\/totp\/Jabali%20Test:/);
+          expect(uri).to.contain(`secret=${user.totpSecret}`);
+          expect(user.requiresSecondFactor()).to.be.false;
+          done();
+        });
+    });
+
+    it('should fail to confirm enrollment with invalid code', function (done) {
+      user
+        .confirmTotpEnrollment('000000x')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    it('should be able to confirm enrollment', function (done) {
+      user
+        .confirmTotpEnrollment(user.currentTotp())
+        .then(twofactorable => {
+          expect(twofactorable.totpEnabledAt).to.not.be.null;
+          expect(twofactorable.requiresSecondFactor()).to.be.true;
+          done();
+        });
+    });
+  });
+
+
+  describe('Two Steps Authentication', function () {
+    let User;
+    let user;
+    let challenge;
+    let clock;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(Lockable, { enabled: true, maximum_attempts: 3 });
+      UserSchema.plugin(TwoFactorable, { window: 1 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(registered => {
+          user = registered;
+          return user.beginTotpEnrollment();
+        })
+        .then(() => user.confirmTotpEnrollment(user.currentTotp()))
+        .then(() => done());
+    });
+
+    it('should resolve with second factor challenge', function (done) {
+      User
+        .authenticate(email, password)
+        .then(result => {
+          expect(result.secondFactorRequired).to.be.true;
+          expect(result.challenge).to.exist;
+          expect(result.challengeExpiryAt).to.exist;
+          challenge = result.challenge;
+          done();
+        });
+    });
+
+    it('should reject code which has already been used', function (done) {
+      User
+        .authenticateWithTotp(challenge, user.currentTotp())
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid authentication code');
+          return User.findOne({ email }).exec();
+        })
+        .then(twofactorable => {
+          expect(twofactorable.failedAttempts).to.equal(1);
+          done();
+        });
+    });
+
+    it('should be able to authenticate with code of the next time step', function (done) {
+      clock = sinon.useFakeTimers({ now: Date.now() + 30 * 1000, toFake: ['Date'] });
+      User
+        .authenticateWithTotp(challenge, user.currentTotp())
+        .then(twofactorable => {
+          clock.restore();
+          expect(twofactorable.email).to.equal(email);
+          expect(twofactorable.failedAttempts).to.equal(0);
+          expect(twofactorable.totpChallenge).to.be.null;
+          done();
+        });
+    });
+
+    it('should not be able to reuse challenge', function (done) {
+      User
+        .authenticateWithTotp(challenge, user.currentTotp())
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          done();
+        });
+    });
+  });
+
+
+  describe('Second Factor Challenge Attempts', function () {
+    let User;
+    let user;
+    let challenge;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(TwoFactorable, { max_challenge_attempts: 2 });
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      User
+        .register({ email, password })
+        .then(registered => {
+          user = registered;
+          return user.beginTotpEnrollment();
+        })
+        .then(() => user.confirmTotpEnrollment(user.currentTotp()))
+        .then(() => User.authenticate(email, password))
+        .then(result => {
+          challenge = result.challenge;
+          done();
+        });
+    });
+
+    it('should invalidate challenge after maximum wrong codes', function (done) {
+      User
+        .authenticateWithTotp(challenge, 'abcdef')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          return User.authenticateWithTotp(challenge, 'abcdef');
+        })
+        .catch(error => {
+          expect(error.statusCode).to.equal(401);
+          expect(error.message).to.equal('Second factor challenge invalidated. Authenticate again');
+          return User.findOne({ email }).exec();
+        })
+        .then(twofactorable => {
+          expect(twofactorable.totpChallenge).to.be.null;
+          done();
+        });
+    });
+  });
+
+
+  describe('Recovery Codes', function () {
+    let User;
+    let codes;
+    let sendNotificationSpy;
+    const email = faker.internet.email().toLowerCase();
+    const password = faker.internet.password();
+    before(function () {
+      const UserSchema = new Schema({});
+      UserSchema.plugin(Registerable);
+      UserSchema.plugin(Authenticable);
+      UserSchema.plugin(TwoFactorable);
+      User = mongoose.model(`User+${faker.random.number()}`, UserSchema);
+    });
+
+    before(function (done) {
+      sendNotificationSpy = sinon.spy(User.prototype, 'sendJabaliNotification');
+      User
+        .register({ email, password })
+        .then(user => user.generateRecoveryCodes(3))
+        .then(generated => {
+          codes = generated;
+          done();
+        });
+    });
+
+    it('should generate hashed recovery codes', function (done) {
+      User
+        .findOne({ email })
+        .exec()
+        .then(twofactorable => {
+          expect(codes).to.have.length(3);
+          expect(twofactorable.remainingRecoveryCodes()).to.equal(3);
+          expect(twofactorable.recoveryCodes).to.not.include(codes[0]);
+          done();
+        });
+    });
+
+    it('should fail to authenticate with invalid recovery code', function (done) {
+      User
+        .authenticateWithRecoveryCode(email, password, 'abcde-12345')
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    it('should authenticate with recovery code and burn it', function (done) {
+      User
+        .authenticateWithRecoveryCode(email, password, codes[0])
+        .then(twofactorable => {
+          expect(twofactorable.email).to.equal(email);
+          expect(twofactorable.remainingRecoveryCodes()).to.equal(2);
+          expect(sendNotificationSpy.calledWith('RECOVERY_CODE_USED')).to.be.true;
+          done();
+        });
+    });
+
+    it('should not be able to reuse recovery code', function (done) {
+      User
+        .authenticateWithRecoveryCode(email, password, codes[0])
+        .catch(error => {
+          expect(error.statusCode).to.equal(400);
+          done();
+        });
+    });
+
+    after(function () {
+      sendNotificationSpy.restore();
+    });
+  });
+});
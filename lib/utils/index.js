@@ -1,9 +1,12 @@
 'use strict';
 
 //dependencies
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const moment = require('moment');
+const estimatePasswordStrength = require(path.join(__dirname, 'strength'));
 
 /**
  * @description crypto token generator
@@ -31,37 +34,764 @@ Tokenizer.prototype.match = function (token, text) {
 };
 
 
+/**
+ * @description encode buffer as base64 without padding
+ */
+const toBase64 = buffer => buffer.toString('base64').replace(/=+$/, '');
+
+/**
+ * @description compare two buffers in constant time
+ */
+const isEqualBuffer = (first, second) =>
+    first.length === second.length && crypto.timingSafeEqual(first, second);
+
+/**
+ * @description normalize hashing options i.e number of bcrypt rounds or
+ *              `{ algorithm, [algorithm]: settings }`
+ */
+function hashingOptions(options) {
+    if (typeof options === 'number') {
+        return { algorithm: 'bcrypt', settings: { rounds: options } };
+    }
+    const algorithm = (options && options.algorithm) || 'bcrypt';
+    return { algorithm, settings: (options && options[algorithm]) || {} };
+}
+
+/**
+ * @description highest hashing costs accepted from imported hashes, beyond
+ *              them verifying a single password would stall the process
+ */
+const HASH_COST_LIMITS = {
+    bcrypt: { rounds: 16 },
+    scrypt: { cost: 1048576, block_size: 32, parallelization: 16, memory: 268435456 },
+    pbkdf2: { iterations: 10000000 }
+};
+
+/**
+ * @description registered password hashers keyed by name
+ */
+const hashers = new Map();
+
+/**
+ * @description bcrypt hasher, hashes are in modular crypt format
+ *              e.g `$2a$10$<salt><hash>`
+ */
+hashers.set('bcrypt', {
+    identify: hash => /^\$2[aby]?\$\d{2}\$/.test(hash),
+    hash: (value, { rounds = 10 }) => bcrypt
+        .genSalt(rounds)
+        .then(salt => bcrypt.hash(value, salt)),
+    verify: (value, hash) => bcrypt.compare(value, hash),
+    needsRehash: (hash, { rounds = 10 }) => bcrypt.getRounds(hash) < rounds,
+    withinLimits: hash => {
+        const rounds = bcrypt.getRounds(hash);
+        return rounds >= 4 && rounds <= HASH_COST_LIMITS.bcrypt.rounds;
+    }
+});
+
+/**
+ * @description scrypt hasher, hashes are encoded as
+ *              `$scrypt$n=<cost>,r=<block_size>,p=<parallelization>$<salt>$<hash>`
+ */
+const scryptParams = /^\$scrypt\$n=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/;
+const scrypt = (value, salt, keyLength, { cost, blockSize, parallelization }) =>
+    new Promise((resolve, reject) => {
+        const settings = {
+            N: cost,
+            r: blockSize,
+            p: parallelization,
+            maxmem: 256 * cost * blockSize
+        };
+        crypto.scrypt(value, salt, keyLength, settings, (error, derived) =>
+            error ? reject(error) : resolve(derived));
+    });
+hashers.set('scrypt', {
+    identify: hash => scryptParams.test(hash),
+    hash: (value, { cost = 16384, block_size = 8, parallelization = 1, key_length = 64 }) => {
+        const salt = crypto.randomBytes(16);
+        const params = { cost, blockSize: block_size, parallelization };
+        return scrypt(value, salt, key_length, params)
+            .then(derived => `$scrypt$n=${cost},r=${block_size},p=${parallelization}` +
+                `$${toBase64(salt)}$${toBase64(derived)}`);
+    },
+    verify: (value, hash) => {
+        const [, cost, blockSize, parallelization, salt, expected] = scryptParams.exec(hash);
+        const expectedKey = Buffer.from(expected, 'base64');
+        const params = {
+            cost: Number(cost),
+            blockSize: Number(blockSize),
+            parallelization: Number(parallelization)
+        };
+        return scrypt(value, Buffer.from(salt, 'base64'), expectedKey.length, params)
+            .then(derived => isEqualBuffer(derived, expectedKey));
+    },
+    needsRehash: (hash, { cost = 16384, block_size = 8, parallelization = 1 }) => {
+        const [, hashCost, hashBlockSize, hashParallelization] = scryptParams.exec(hash);
+        return Number(hashCost) < cost || Number(hashBlockSize) < block_size ||
+            Number(hashParallelization) < parallelization;
+    },
+    withinLimits: hash => {
+        const [, cost, blockSize, parallelization] = scryptParams.exec(hash).map(Number);
+        const limits = HASH_COST_LIMITS.scrypt;
+        // cost must be a power of two greater than one
+        return cost > 1 && cost <= limits.cost && (cost & (cost - 1)) === 0 &&
+            blockSize >= 1 && blockSize <= limits.block_size &&
+            parallelization >= 1 && parallelization <= limits.parallelization &&
+            128 * cost * blockSize <= limits.memory;
+    }
+});
+
+/**
+ * @description digests accepted in PBKDF2 hashes
+ */
+const PBKDF2_DIGESTS = ['sha1', 'sha256', 'sha512'];
+
+/**
+ * @description PBKDF2 hasher, hashes are encoded as
+ *              `$pbkdf2-<digest>$i=<iterations>$<salt>$<hash>`
+ */
+const pbkdf2Params = /^\$pbkdf2-([a-z0-9]+)\$i=(\d+)\$([^$]+)\$([^$]+)$/;
+const pbkdf2 = (value, salt, iterations, keyLength, digest) =>
+    new Promise((resolve, reject) => {
+        crypto.pbkdf2(value, salt, iterations, keyLength, digest, (error, derived) =>
+            error ? reject(error) : resolve(derived));
+    });
+hashers.set('pbkdf2', {
+    identify: hash => pbkdf2Params.test(hash),
+    hash: (value, { iterations = 310000, digest = 'sha256', key_length = 32 }) => {
+        const salt = crypto.randomBytes(16);
+        return pbkdf2(value, salt, iterations, key_length, digest)
+            .then(derived => `$pbkdf2-${digest}$i=${iterations}` +
+                `$${toBase64(salt)}$${toBase64(derived)}`);
+    },
+    verify: (value, hash) => {
+        const [, digest, iterations, salt, expected] = pbkdf2Params.exec(hash);
+        const expectedKey = Buffer.from(expected, 'base64');
+        return pbkdf2(value, Buffer.from(salt, 'base64'), Number(iterations),
+            expectedKey.length, digest)
+            .then(derived => isEqualBuffer(derived, expectedKey));
+    },
+    needsRehash: (hash, { iterations = 310000, digest = 'sha256' }) => {
+        const [, hashDigest, hashIterations] = pbkdf2Params.exec(hash);
+        return hashDigest !== digest || Number(hashIterations) < iterations;
+    },
+    withinLimits: hash => {
+        const [, digest, iterations] = pbkdf2Params.exec(hash);
+        return PBKDF2_DIGESTS.indexOf(digest) !== -1 &&
+            Number(iterations) >= 1 && Number(iterations) <= HASH_COST_LIMITS.pbkdf2.iterations;
+    }
+});
+
+
+/**
+ * @description personal data sections contributed to schemas, keyed by schema
+ */
+const personalDataSections = new WeakMap();
+
+/**
+ * @description breached passwords bloom filters loaded so far, keyed by file
+ *              path. Filters are loaded once and kept for process life.
+ */
+const bloomFilters = new Map();
+
+/**
+ * @description magic bytes which start breached passwords bloom filter file
+ */
+const BLOOM_FILTER_MAGIC = 'JBF1';
+
+
 /**
  * @description common utilities
  * @type {Object}
  */
 module.exports = {
     /**
-     * @description hash a given token using bcryptjs with default of ten iterations
+     * @description register password hasher. Hashes are encoded with prefix
+     *              identifying their hasher so that hashes of multiple
+     *              hashers coexist and can be verified.
+     * @param  {String}   name     hasher name e.g bcrypt
+     * @param  {Object}   hasher   hasher implementation
+     * @param  {Function} hasher.identify     receive encoded hash and return
+     *                                        true if it is of this hasher
+     * @param  {Function} hasher.hash         receive value and hasher options
+     *                                        and return promise of encoded hash
+     * @param  {Function} hasher.verify       receive value and encoded hash and
+     *                                        return promise of boolean
+     * @param  {Function} hasher.needsRehash  receive encoded hash and hasher
+     *                                        options and return true if hash
+     *                                        cost is lower than the options
+     * @param  {Function} [hasher.withinLimits] receive encoded hash and return
+     *                                        false if its cost is too high to
+     *                                        be imported
+     */
+    registerHasher: function (name, hasher) {
+        hashers.set(name, hasher);
+    },
+
+
+    /**
+     * @description find hasher of a given encoded hash
+     * @param  {String}   hash     encoded hash
+     * @return {Object}            `{ name, hasher }` or undefined
+     */
+    identifyHasher: function (hash) {
+        if (!hash) {
+            return undefined;
+        }
+        const name = Array
+            .from(hashers.keys())
+            .find(name => hashers.get(name).identify(String(hash)));
+        return name ? { name, hasher: hashers.get(name) } : undefined;
+    },
+
+
+    /**
+     * @description hash a given token using configured hasher, default to
+     *              bcrypt with ten rounds
      * @param  {String}   token    a token to be hashed
-     * @param  {Number}  iteration  number of iterations to be used when encrypt a password
-     */
-    hash: function (token, iterations = 10) {
-        return bcrypt
-            .genSalt(iterations)
-            .then(salt => {
-                return bcrypt
-                    .hash(token, salt);
-            });
+     * @param  {Number|Object}  [options]  number of bcrypt rounds or hashing
+     *                                     options i.e `algorithm` and options
+     *                                     of hashers keyed by hasher name
+     *                                     e.g `{ algorithm: 'scrypt', scrypt: { cost: 16384 } }`
+     * @return {Promise}           resolve with encoded hash
+     */
+    hash: function (token, options = 10) {
+        const { algorithm, settings } = hashingOptions(options);
+        const hasher = hashers.get(algorithm);
+        if (!hasher) {
+            return Promise.reject(new Error(`Unknown password hasher ${algorithm}`));
+        }
+        return hasher.hash(String(token), settings);
     },
 
 
     /**
-     * @description compare original value and the given hash
+     * @description compare original value and the given hash using hasher
+     *              which produced the hash. Hash which can not be verified
+     *              e.g of unsupported digest does not match any value.
      * @param  {String}   value    a value to be compared
      * @param  {String}   hash     a hash to compare
+     * @return {Promise}           resolve with true if value match the hash
      */
     compare: function (value, hash) {
-        return bcrypt
-            .compare(value, hash);
+        const identified = module.exports.identifyHasher(hash);
+        if (!identified || value === undefined || value === null) {
+            return Promise.resolve(false);
+        }
+        return Promise
+            .resolve()
+            .then(() => identified.hasher.verify(String(value), String(hash)))
+            .catch(() => false);
+    },
+
+
+    /**
+     * @description check if a given hash was produced by other hasher or with
+     *              lower cost than the given hashing options
+     * @param  {String}   hash     encoded hash
+     * @param  {Number|Object}  [options]  hashing options as of {@link hash}
+     * @return {Boolean}           true if value should be hashed again
+     */
+    needsRehash: function (hash, options = 10) {
+        const { algorithm, settings } = hashingOptions(options);
+        const identified = module.exports.identifyHasher(hash);
+        if (!identified || identified.name !== algorithm) {
+            return true;
+        }
+        return identified.hasher.needsRehash(String(hash), settings);
     },
 
 
+    /**
+     * @description convert password hash of a given format into encoded hash
+     *              which can be verified by registered hashers
+     * @param  {String}   hash     password hash
+     * @param  {String}   [format] format of the hash i.e `auto` for any hash
+     *                             encoded by registered hasher, name of a
+     *                             registered hasher e.g `pbkdf2` or `django`
+     *                             for Django `pbkdf2_sha256$<iterations>$<salt>$<hash>`
+     * @return {String}            encoded hash or undefined if hash is not
+     *                             of the given format or its cost is out of
+     *                             accepted bounds
+     */
+    convertPasswordHash: function (hash, format = 'auto') {
+        if (!hash) {
+            return undefined;
+        }
+        let encoded = String(hash);
+        if (format === 'django') {
+            const django = /^pbkdf2_([a-z0-9]+)\$(\d+)\$([^$]+)\$([^$]+)$/.exec(hash);
+            if (!django) {
+                return undefined;
+            }
+            const [, digest, iterations, salt, derived] = django;
+            // django use salt as is, encoded hashes keep salt bytes in base64
+            encoded = `$pbkdf2-${digest}$i=${iterations}` +
+                `$${toBase64(Buffer.from(salt, 'utf8'))}$${derived.replace(/=+$/, '')}`;
+        }
+        const identified = module.exports.identifyHasher(encoded);
+        const expected = format === 'django' ? 'pbkdf2' : format;
+        if (!identified || (expected !== 'auto' && identified.name !== expected)) {
+            return undefined;
+        }
+        const { withinLimits } = identified.hasher;
+        return !withinLimits || withinLimits(encoded) ? encoded : undefined;
+    },
+
+
+    /**
+     * @description process items of an array or object mode readable stream
+     *              in batches, one batch after another. Stream is paused
+     *              while a batch is being processed and destroyed once a
+     *              batch fails.
+     * @param  {Array|Stream}  source  items to process
+     * @param  {Number}   size     maximum number of items in a batch
+     * @param  {Function} handle   receive batch items and index of the first
+     *                             item and return promise
+     * @return {Promise}           resolve when every batch is processed
+     */
+    eachBatch: function (source, size, handle) {
+        if (Array.isArray(source)) {
+            let batches = Promise.resolve();
+            for (let start = 0; start < source.length; start += size) {
+                const batch = source.slice(start, start + size);
+                batches = batches.then(() => handle(batch, start));
+            }
+            return batches;
+        }
+        return new Promise((resolve, reject) => {
+            let batch = [];
+            let count = 0;
+            let pending = Promise.resolve();
+            const fail = error => {
+                // stop reading rest of the source
+                if (typeof source.destroy === 'function') {
+                    source.destroy();
+                }
+                reject(error);
+            };
+            const enqueue = items => {
+                const start = count;
+                count += items.length;
+                pending = pending.then(() => handle(items, start));
+                pending.catch(fail);
+            };
+            source.on('data', item => {
+                batch.push(item);
+                if (batch.length >= size) {
+                    source.pause();
+                    enqueue(batch);
+                    batch = [];
+                    pending.then(() => source.resume(), () => {});
+                }
+            });
+            source.on('end', () => {
+                if (batch.length) {
+                    enqueue(batch);
+                }
+                pending.then(() => resolve(), fail);
+            });
+            source.on('error', reject);
+        });
+    },
+
+
+    /**
+     * @description compute sha256 digest of a given value. It is used to
+     *              persist random tokens which are only looked up and never
+     *              read back.
+     * @param  {String}   value    a value to digest
+     * @return {String}            hex encoded digest
+     */
+    digest: function (value) {
+        return crypto
+            .createHash('sha256')
+            .update(String(value))
+            .digest('hex');
+    },
+
+
+    /**
+     * @description compute keyed sha256 HMAC of a given value
+     * @param  {String}   value    a value to digest
+     * @param  {String}   secret   a key to use
+     * @return {String}            hex encoded HMAC
+     */
+    hmac: function (value, secret) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(String(value))
+            .digest('hex');
+    },
+
+
+    /**
+     * @description compute the value to persist for a given token. When secret
+     *              is given only keyed HMAC of the token is persisted otherwise
+     *              token is persisted as is.
+     * @param  {String}   token    a plain token
+     * @param  {String}   [secret] a key to use
+     * @return {String}            a value to persist
+     */
+    protectToken: function (token, secret) {
+        return secret ? module.exports.hmac(token, secret) : token;
+    },
+
+
+    /**
+     * @description verify candidate token against persisted token. Comparison
+     *              is exact and done in constant time so that partial tokens
+     *              never match and timing does not leak persisted token.
+     *              Both tokens are digested first to compare equal length values.
+     * @param  {String}   candidate   a plain token supplied by the requester
+     * @param  {String}   persisted   a token value as persisted, see {@link protectToken}
+     * @param  {String}   [secret]    a key used when token was persisted
+     * @return {Boolean}              true if candidate token match persisted token
+     */
+    verifyToken: function (candidate, persisted, secret) {
+        if (!candidate || !persisted) {
+            return false;
+        }
+        const utils = module.exports;
+        const expected = Buffer.from(utils.digest(persisted), 'hex');
+        const actual = Buffer
+            .from(utils.digest(utils.protectToken(String(candidate), secret)), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    },
+
+
+    /**
+     * @description count wrong guess of a token on a given document. Counter
+     *              is incremented atomically and only while the guessed token
+     *              is still the persisted one. Once maximum attempts are
+     *              reached the token is invalidated and a fresh one has to
+     *              be requested.
+     * @param  {Model}    Model     model of the given document
+     * @param  {Object}   instance  document whose token was guessed
+     * @param  {Object}   paths     names of token related fields
+     * @param  {String}   paths.token     token field
+     * @param  {String}   paths.expiry    token expiry field
+     * @param  {String}   paths.attempts  attempts counter field
+     * @param  {Number}   maximum   number of wrong guesses allowed per token
+     * @return {Promise}            resolve with true if token got invalidated
+     */
+    registerTokenAttempt: function (Model, instance, paths, maximum) {
+        const { token, expiry, attempts } = paths;
+        if (!instance[token]) {
+            // nothing to guess
+            return Promise.resolve(false);
+        }
+        const criteria = { _id: instance._id, [token]: instance[token] };
+        return Model
+            .findOneAndUpdate(criteria, { $inc: { [attempts]: 1 } }, { new: true })
+            .exec()
+            .then(updated => {
+                if (!updated || updated[attempts] < maximum) {
+                    return false;
+                }
+                return Model
+                    .update(criteria, { $set: { [token]: null, [expiry]: null } })
+                    .exec()
+                    .then(() => true);
+            });
+    },
+
+
+    /**
+     * @description compute number of seconds to wait before notification can
+     *              be sent again to a given document. Cooldown is counted from
+     *              last send time and daily quota from the start of the day of
+     *              last send.
+     * @param  {Object}   instance  document to send notification to
+     * @param  {Object}   paths     names of send tracking fields
+     * @param  {String}   paths.sentAt  last send time field
+     * @param  {String}   paths.count   number of sends in a day field
+     * @param  {Object}   limits    send limits
+     * @param  {Number}   [limits.resend_cooldown]   seconds to wait between sends
+     * @param  {Number}   [limits.max_sends_per_day] maximum sends in a day
+     * @return {Number}             seconds to wait or zero if send is allowed
+     */
+    resendRetryAfter: function (instance, paths, limits) {
+        const sentAt = instance[paths.sentAt];
+        if (!sentAt) {
+            return 0;
+        }
+        const now = moment();
+        const cooldown = limits.resend_cooldown || 0;
+        const cooldownLeft = Math.ceil(moment(sentAt)
+            .add(cooldown, 'seconds').diff(now, 'seconds', true));
+        if (cooldownLeft > 0) {
+            return cooldownLeft;
+        }
+        const maximum = limits.max_sends_per_day;
+        const isSameDay = now.isSame(sentAt, 'day');
+        if (maximum && isSameDay && instance[paths.count] >= maximum) {
+            return Math.ceil(moment(now).endOf('day').diff(now, 'seconds', true));
+        }
+        return 0;
+    },
+
+
+    /**
+     * @description record notification send on a given document. Daily send
+     *              counter start over on the first send of a day.
+     * @param  {Object}   instance  document notification is sent to
+     * @param  {Object}   paths     names of send tracking fields
+     * @param  {String}   paths.sentAt  last send time field
+     * @param  {String}   paths.count   number of sends in a day field
+     * @return {Object}             document with send recorded
+     */
+    registerSend: function (instance, paths) {
+        const now = new Date();
+        const sentAt = instance[paths.sentAt];
+        const isSameDay = sentAt && moment(now).isSame(sentAt, 'day');
+        instance[paths.count] = isSameDay ? (instance[paths.count] || 0) + 1 : 1;
+        instance[paths.sentAt] = now;
+        return instance;
+    },
+
+
+    /**
+     * @description claim notification send on a given document. Send is
+     *              recorded atomically and only while last send time is still
+     *              the one limits were checked against, so concurrent
+     *              requests can not all pass the cooldown and daily quota.
+     * @param  {Model}    Model     model of the given document
+     * @param  {Object}   instance  document to send notification to
+     * @param  {Object}   paths     names of send tracking fields as of
+     *                              {@link resendRetryAfter}
+     * @param  {Object}   limits    send limits as of {@link resendRetryAfter}
+     * @return {Promise}            resolve with seconds to wait or zero if
+     *                              send is claimed and recorded on the document
+     */
+    claimSend: function (Model, instance, paths, limits) {
+        const utils = module.exports;
+        const retryAfter = utils.resendRetryAfter(instance, paths, limits);
+        if (retryAfter || instance.isNew) {
+            if (!retryAfter) {
+                utils.registerSend(instance, paths);
+            }
+            return Promise.resolve(retryAfter);
+        }
+        const count = instance[paths.count];
+        const criteria = {
+            _id: instance._id,
+            [paths.sentAt]: instance[paths.sentAt],
+            // counter is missing on documents which were never sent to
+            [paths.count]: count ? count : { $in: [0, null] }
+        };
+        utils.registerSend(instance, paths);
+        const update = {
+            $set: {
+                [paths.sentAt]: instance[paths.sentAt],
+                [paths.count]: instance[paths.count]
+            }
+        };
+        return Model
+            .findOneAndUpdate(criteria, update)
+            .exec()
+            .then(claimed => {
+                if (claimed) {
+                    return 0;
+                }
+                // other request claimed the send first, check limits against it
+                return Model
+                    .findById(instance._id)
+                    .exec()
+                    .then(latest => {
+                        instance[paths.sentAt] = latest[paths.sentAt];
+                        instance[paths.count] = latest[paths.count];
+                        return utils.claimSend(Model, instance, paths, limits);
+                    });
+            });
+    },
+
+
+    /**
+     * @description compute uppercase hex encoded sha1 digest of a given value
+     *              as used by Have I Been Pwned passwords corpus
+     * @param  {String}   value    a value to digest
+     * @return {String}            uppercase hex encoded digest
+     */
+    sha1: function (value) {
+        return crypto
+            .createHash('sha1')
+            .update(String(value), 'utf8')
+            .digest('hex')
+            .toUpperCase();
+    },
+
+
+    /**
+     * @description compute bit positions of a given sha1 digest in a bloom
+     *              filter using double hashing over the digest bytes
+     * @param  {String}   sha1     hex encoded sha1 digest
+     * @param  {Number}   bits     number of bits in the filter
+     * @param  {Number}   hashes   number of hash functions of the filter
+     * @return {Number[]}          bit positions
+     */
+    bloomIndexes: function (sha1, bits, hashes) {
+        const digest = Buffer.from(sha1, 'hex');
+        const first = digest.readUIntBE(0, 6);
+        const second = digest.readUIntBE(6, 6);
+        const indexes = [];
+        for (let i = 0; i < hashes; i++) {
+            indexes.push((first + i * second) % bits);
+        }
+        return indexes;
+    },
+
+
+    /**
+     * @description serialize bloom filter to be written on a file. File starts
+     *              with magic bytes followed by number of hash functions and
+     *              then the filter bits.
+     * @param  {Object}   filter          bloom filter
+     * @param  {Number}   filter.hashes   number of hash functions
+     * @param  {Buffer}   filter.buffer   filter bits
+     * @return {Buffer}                   file content
+     */
+    serializeBloomFilter: function (filter) {
+        const header = Buffer.alloc(8);
+        header.write(BLOOM_FILTER_MAGIC, 0, 4, 'ascii');
+        header.writeUInt32BE(filter.hashes, 4);
+        return Buffer.concat([header, filter.buffer]);
+    },
+
+
+    /**
+     * @description load bloom filter file as written by
+     *              {@link serializeBloomFilter}. Filter is read once per path.
+     * @param  {String}   file     path to bloom filter file
+     * @return {Promise}           resolve with `{ hashes, bits, buffer }`
+     */
+    loadBloomFilter: function (file) {
+        const filePath = path.resolve(file);
+        if (bloomFilters.has(filePath)) {
+            return bloomFilters.get(filePath);
+        }
+        const loading = new Promise((resolve, reject) => {
+            fs.readFile(filePath, (error, content) => {
+                if (error) {
+                    return reject(error);
+                }
+                if (content.length <= 8 ||
+                    content.toString('ascii', 0, 4) !== BLOOM_FILTER_MAGIC) {
+                    return reject(new Error(`Invalid bloom filter file ${filePath}`));
+                }
+                const buffer = content.slice(8);
+                resolve({
+                    hashes: content.readUInt32BE(4),
+                    bits: buffer.length * 8,
+                    buffer
+                });
+            });
+        });
+        // allow retry of failed load
+        loading.catch(() => bloomFilters.delete(filePath));
+        bloomFilters.set(filePath, loading);
+        return loading;
+    },
+
+
+    /**
+     * @description check that breached passwords corpus is readable so that
+     *              misconfigured corpus does not let every password through
+     * @param  {Object}   corpus    breached passwords corpus as of
+     *                              {@link isBreachedPassword}
+     * @throws {Error}              when range directory or bloom filter file
+     *                              does not exist
+     */
+    checkBreachedCorpus: function (corpus) {
+        const file = corpus.range_dir || corpus.bloom_filter;
+        const isDirectory = !!corpus.range_dir;
+        let stats;
+        try {
+            stats = fs.statSync(file);
+        } catch (error) {
+            stats = undefined;
+        }
+        if (!stats || stats.isDirectory() !== isDirectory) {
+            const kind = isDirectory ? 'range directory' : 'bloom filter file';
+            throw new Error(`Breached passwords ${kind} ${file} does not exist`);
+        }
+    },
+
+
+    /**
+     * @description check if a given password appear in a local breached
+     *              passwords corpus. Corpus is either a directory of Have I
+     *              Been Pwned range files i.e files named after the first five
+     *              characters of sha1 digest e.g `21BD1.txt` with a
+     *              `SUFFIX:COUNT` line per breached password or a bloom filter
+     *              file built with `scripts/build-breached-filter.js`.
+     *              No network access is involved. Missing range file means
+     *              the password is not breached, but missing range directory
+     *              is an error.
+     * @param  {String}   password  a plain password to check
+     * @param  {Object}   corpus    breached passwords corpus
+     * @param  {String}   [corpus.range_dir]     directory of range files
+     * @param  {String}   [corpus.bloom_filter]  path to bloom filter file
+     * @param  {Number}   [corpus.min_count]     number of times password should
+     *                                           appear in range files to be
+     *                                           considered breached
+     * @return {Promise}            resolve with true if password is breached
+     */
+    isBreachedPassword: function (password, corpus) {
+        const utils = module.exports;
+        const sha1 = utils.sha1(password);
+        if (corpus.range_dir) {
+            const prefix = sha1.slice(0, 5);
+            const suffix = sha1.slice(5);
+            const minCount = corpus.min_count || 1;
+            const file = path.join(corpus.range_dir, `${prefix}.txt`);
+            return new Promise((resolve, reject) => {
+                fs.readFile(file, 'utf8', (error, content) => {
+                    if (error && error.code === 'ENOENT') {
+                        // range not in corpus, as long as corpus is there
+                        return fs.stat(corpus.range_dir, (dirError, stats) =>
+                            dirError || !stats.isDirectory() ?
+                                reject(new Error('Breached passwords range directory ' +
+                                    `${corpus.range_dir} does not exist`)) : resolve(false));
+                    }
+                    if (error) {
+                        return reject(error);
+                    }
+                    const isBreached = content
+                        .split(/\r?\n/)
+                        .map(line => line.trim().split(':'))
+                        .some(([hash, count]) => hash.toUpperCase() === suffix &&
+                            (count === undefined || Number(count) >= minCount));
+                    resolve(isBreached);
+                });
+            });
+        }
+        if (corpus.bloom_filter) {
+            return utils
+                .loadBloomFilter(corpus.bloom_filter)
+                .then(({ hashes, bits, buffer }) => utils
+                    .bloomIndexes(sha1, bits, hashes)
+                    .every(index => buffer[Math.floor(index / 8)] & (1 << (index % 8))));
+        }
+        return Promise.resolve(false);
+    },
+
+
+    /**
+     * @description estimate strength of a password by looking for guessable
+     *              patterns i.e dictionary words, user inputs, keyboard walks,
+     *              sequences, repeats and dates
+     * @param  {String}   password      a password
+     * @param  {String[]} [userInputs]  words and numbers associated with the
+     *                                  password owner e.g email local part
+     * @return {Object}                 `{ score, guesses, feedback }` where
+     *                                  score is from 0 (too guessable) to 4
+     *                                  (very unguessable) and feedback is
+     *                                  `{ warning, suggestions }`
+     */
+    estimatePasswordStrength: estimatePasswordStrength,
+
+
     /**
      * @description check if the second date is after the first date
      * @param  {Date}  first  a first date
@@ -87,6 +817,30 @@ module.exports = {
         return momentAt.toDate();
     },
 
+    /**
+     * @description adding offset number of minutes into the date given else now
+     * @param {Number} offset minutes to add on date
+     * @param {Date} date   date to offset
+     * @return {Date}        date with minutes added
+     */
+    addMinutes: function (offset, date) {
+        date = date || new Date();
+        const momentAt = moment(date).add(offset, 'minutes');
+        return momentAt.toDate();
+    },
+
+    /**
+     * @description adding offset number of hours into the date given else now
+     * @param {Number} offset hours to add on date
+     * @param {Date} date   date to offset
+     * @return {Date}        date with hours added
+     */
+    addHours: function (offset, date) {
+        date = date || new Date();
+        const momentAt = moment(date).add(offset, 'hours');
+        return momentAt.toDate();
+    },
+
     /**
      * Compute the difference of days between start and end date
      * @param {Date} startDate - Start Date 
@@ -101,6 +855,69 @@ module.exports = {
         return start.diff(end, 'days');
     },
 
+    /**
+     * @description get or create model of a companion collection i.e collection
+     *              which keep records belonging to documents of the given model.
+     *              Companion model is registered on the same connection as the
+     *              given model and named by suffixing model name with given name.
+     * @param {Model} Model  model which owns companion collection records
+     * @param {String} name  companion model name suffix e.g SignInEvent
+     * @param {Function} define function which receive mongoose Schema constructor and
+     *                          owning model name and return companion schema
+     * @return {Model}        companion model
+     */
+    companionModel: function (Model, name, define) {
+        const modelName = `${Model.modelName}${name}`;
+        const connection = Model.db;
+        if (connection.models[modelName]) {
+            return connection.models[modelName];
+        }
+        const Schema = Model.schema.constructor;
+        return connection.model(modelName, define(Schema, Model.modelName));
+    },
+
+    /**
+     * @description contribute a section to personal data exported by
+     *              `exportPersonalData` of documents of a given schema.
+     *              Section of the same name is replaced.
+     * @param {Schema} schema    mongoose schema
+     * @param {String} name      section name in exported data
+     * @param {Function} collect function which receive document and return
+     *                           section data or promise of it. It must return
+     *                           only data safe to hand over i.e no secrets
+     */
+    addPersonalDataSection: function (schema, name, collect) {
+        const sections = (personalDataSections.get(schema) || [])
+            .filter(section => section.name !== name);
+        personalDataSections.set(schema, sections.concat({ name, collect }));
+    },
+
+    /**
+     * @description get personal data sections contributed to a given schema
+     * @param {Schema} schema    mongoose schema
+     * @return {Object[]}        list of `{ name, collect }` in contribution order
+     */
+    personalDataSectionsOf: function (schema) {
+        return personalDataSections.get(schema) || [];
+    },
+
+    /**
+     * @description pick values of given paths of a document as plain data.
+     *              Missing values are set to null.
+     * @param {Document} instance  mongoose document
+     * @param {String[]} paths     paths to pick
+     * @return {Object}            picked values keyed by path
+     */
+    pickPaths: function (instance, paths) {
+        const data = {};
+        paths.forEach(path => {
+            const value = instance.get(path);
+            data[path] = value === undefined ? null :
+                value && value.toObject ? value.toObject({ transform: false }) : value;
+        });
+        return data;
+    },
+
     tokenizer: function (secret) {
         return new Tokenizer(secret);
     },
@@ -0,0 +1,478 @@
+'use strict';
+
+/**
+ * @file
+ * @name strength
+ * Password strength estimator inspired by zxcvbn. It looks for guessable
+ * patterns i.e dictionary words, user inputs, keyboard walks, sequences,
+ * repeats and dates, estimate number of guesses needed to crack the weakest
+ * combination of them and map it to a score from 0 (too guessable) to
+ * 4 (very unguessable) together with human readable feedback.
+ */
+
+/**
+ * @description common passwords and words ranked from the most common
+ */
+const DICTIONARY = [
+    'password', 'qwerty', 'football', 'iloveyou', 'admin', 'welcome',
+    'monkey', 'login', 'starwars', 'dragon', 'master',
+    'hello', 'freedom', 'whatever', 'qazwsx', 'trustno', 'letmein', 'baseball',
+    'sunshine', 'princess', 'shadow', 'superman', 'michael', 'ashley',
+    'bailey', 'charlie', 'donald', 'jesus', 'ninja', 'mustang', 'access',
+    'batman', 'flower', 'hottie', 'loveme', 'solo', 'secret', 'summer',
+    'winter', 'spring', 'autumn', 'soccer', 'hockey', 'killer', 'george',
+    'jordan', 'harley', 'ranger', 'thomas', 'robert', 'daniel', 'andrew',
+    'joshua', 'matthew', 'jennifer', 'jessica', 'hunter', 'buster', 'tigger',
+    'pepper', 'ginger', 'cookie', 'chocolate', 'cheese', 'computer',
+    'internet', 'service', 'changeme', 'default', 'guest', 'root', 'test',
+    'user', 'pass', 'love', 'god', 'sex', 'money', 'lucky', 'happy', 'angel',
+    'baby', 'family', 'friend', 'forever', 'heaven', 'jasmine', 'lovely',
+    'magic', 'orange', 'banana', 'apple', 'purple', 'silver', 'golden',
+    'diamond', 'yellow', 'black', 'white', 'green', 'blue', 'red', 'tiger',
+    'lion', 'eagle', 'falcon', 'wolf', 'bear', 'horse', 'dog', 'cat', 'fish',
+    'chicken', 'pizza', 'coffee', 'beer', 'music', 'guitar', 'dance', 'game',
+    'player', 'gamer', 'soldier', 'pirate', 'king', 'queen', 'prince', 'lady',
+    'boy', 'girl', 'man', 'woman', 'mother', 'father', 'sister', 'brother',
+    'school', 'college', 'office', 'house', 'home', 'world', 'earth', 'star',
+    'moon', 'sun', 'sky', 'rain', 'snow', 'fire', 'water', 'stone', 'rock',
+    'metal', 'power', 'energy', 'light', 'dark', 'night', 'day', 'morning',
+    'monday', 'friday', 'sunday', 'january', 'april', 'june', 'july',
+    'august', 'october', 'december', 'company', 'business', 'secure',
+    'security', 'private', 'public', 'system', 'network', 'server', 'online',
+    'mobile', 'phone', 'email', 'mail', 'account', 'bank', 'cash', 'credit',
+    'new', 'old', 'big', 'small', 'good', 'best', 'cool', 'super', 'the',
+    'and', 'you', 'for', 'one', 'two', 'three', 'four', 'five', 'ten', 'first'
+];
+
+/**
+ * @description rank of every dictionary word
+ */
+const RANKS = new Map(DICTIONARY.map((word, index) => [word, index + 1]));
+
+/**
+ * @description unshifted keyboard rows of qwerty layout
+ */
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+
+/**
+ * @description shifted keyboard rows of qwerty layout
+ */
+const SHIFTED_ROWS = ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'];
+
+/**
+ * @description number of keys of keyboard rows
+ */
+const KEYBOARD_KEYS = KEYBOARD_ROWS.join('').length;
+
+/**
+ * @description common substitutions of letters
+ */
+const LEET = {
+    '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i',
+    '!': 'i', '|': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+/**
+ * @description minimum number of guesses of a date
+ */
+const MIN_YEAR_SPACE = 20;
+
+/**
+ * @description feedback of every pattern
+ */
+const FEEDBACK = {
+    user_input: {
+        warning: 'Avoid using your email, phone number or other personal details',
+        suggestions: ['Avoid words and numbers that are associated with you']
+    },
+    dictionary: {
+        warning: 'Common words and passwords are easy to guess',
+        suggestions: ['Add another word or two. Uncommon words are better']
+    },
+    keyboard: {
+        warning: 'Straight rows or short keyboard patterns are easy to guess',
+        suggestions: ['Use a longer keyboard pattern with more turns']
+    },
+    sequence: {
+        warning: 'Sequences like abc or 6543 are easy to guess',
+        suggestions: ['Avoid sequences']
+    },
+    repeat: {
+        warning: 'Repeats like "aaa" or "abcabc" are easy to guess',
+        suggestions: ['Avoid repeated words and characters']
+    },
+    date: {
+        warning: 'Dates are often easy to guess',
+        suggestions: ['Avoid dates and years that are associated with you']
+    }
+};
+
+/**
+ * @description find position of a character on the keyboard
+ * @param  {String}   char  a character
+ * @return {Object}         `{ row, column, shifted }` or undefined
+ */
+function keyPosition(char) {
+    for (let row = 0; row < KEYBOARD_ROWS.length; row++) {
+        const column = KEYBOARD_ROWS[row].indexOf(char);
+        if (column !== -1) {
+            return { row, column, shifted: false };
+        }
+        const shiftedColumn = SHIFTED_ROWS[row].indexOf(char);
+        if (shiftedColumn !== -1) {
+            return { row, column: shiftedColumn, shifted: true };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @description compute size of character set used by a given password
+ * @param  {String}   password  a password
+ * @return {Number}             number of possible characters
+ */
+function cardinality(password) {
+    let size = 0;
+    size += /[a-z]/.test(password) ? 26 : 0;
+    size += /[A-Z]/.test(password) ? 26 : 0;
+    size += /[0-9]/.test(password) ? 10 : 0;
+    size += /[^a-zA-Z0-9]/.test(password) ? 33 : 0;
+    return Math.max(size, 10);
+}
+
+/**
+ * @description number of ways a word could have been capitalized
+ * @param  {String}   token  a matched part of password
+ * @return {Number}          capitalization variations
+ */
+function uppercaseVariations(token) {
+    if (token === token.toLowerCase()) {
+        return 1;
+    }
+    const isFirstUpper = /^[A-Z][^A-Z]+$/.test(token);
+    const isLastUpper = /^[^A-Z]+[A-Z]$/.test(token);
+    if (isFirstUpper || isLastUpper || token === token.toUpperCase()) {
+        return 2;
+    }
+    const uppercase = token.replace(/[^A-Z]/g, '').length;
+    return Math.pow(2, Math.min(uppercase, 10));
+}
+
+/**
+ * @description find dictionary words and user inputs in a password
+ * @param  {String}   password    a password
+ * @param  {Map}      userInputs  rank of every user input
+ * @return {Object[]}             matches
+ */
+function dictionaryMatches(password, userInputs) {
+    const matches = [];
+    const lowercase = password.toLowerCase();
+    const unleet = lowercase.split('').map(char => LEET[char] || char).join('');
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 3; j <= password.length; j++) {
+            [lowercase, unleet].forEach((candidate, substituted) => {
+                const word = candidate.slice(i, j);
+                const isUserInput = userInputs.has(word);
+                const rank = isUserInput ? userInputs.get(word) : RANKS.get(word);
+                if (!rank || (substituted && word === lowercase.slice(i, j))) {
+                    return;
+                }
+                const token = password.slice(i, j);
+                matches.push({
+                    pattern: isUserInput ? 'user_input' : 'dictionary',
+                    i,
+                    j,
+                    token,
+                    uppercase: uppercaseVariations(token) > 1,
+                    substituted: Boolean(substituted),
+                    guesses: rank * uppercaseVariations(token) * (substituted ? 2 : 1)
+                });
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * @description find keyboard walks e.g qwerty, asdf or 1qaz in a password
+ * @param  {String}   password  a password
+ * @return {Object[]}           matches
+ */
+function keyboardMatches(password) {
+    const matches = [];
+    let i = 0;
+    while (i < password.length - 2) {
+        let j = i + 1;
+        let turns = 1;
+        let shifted = false;
+        let direction;
+        while (j < password.length) {
+            const previous = keyPosition(password[j - 1]);
+            const current = keyPosition(password[j]);
+            if (!previous || !current) {
+                break;
+            }
+            const rowDelta = current.row - previous.row;
+            const columnDelta = current.column - previous.column;
+            const isAdjacent = (rowDelta === 0 && Math.abs(columnDelta) === 1) ||
+                (Math.abs(rowDelta) === 1 && Math.abs(columnDelta) <= 1);
+            if (!isAdjacent) {
+                break;
+            }
+            const nextDirection = `${rowDelta}:${columnDelta}`;
+            turns += direction && direction !== nextDirection ? 1 : 0;
+            direction = nextDirection;
+            shifted = shifted || previous.shifted || current.shifted;
+            j++;
+        }
+        if (j - i >= 3) {
+            const length = j - i;
+            matches.push({
+                pattern: 'keyboard',
+                i,
+                j,
+                token: password.slice(i, j),
+                guesses: KEYBOARD_KEYS * length * Math.pow(4, turns) * (shifted ? 2 : 1)
+            });
+            i = j - 1;
+        } else {
+            i++;
+        }
+    }
+    return matches;
+}
+
+/**
+ * @description find sequences e.g abcd, 6543 or xyz in a password
+ * @param  {String}   password  a password
+ * @return {Object[]}           matches
+ */
+function sequenceMatches(password) {
+    const matches = [];
+    const classOf = char => /[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ?
+        'upper' : /[0-9]/.test(char) ? 'digit' : undefined;
+    let i = 0;
+    while (i < password.length - 2) {
+        const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+        const charClass = classOf(password[i]);
+        let j = i + 1;
+        while (charClass && Math.abs(delta) === 1 && j < password.length &&
+            classOf(password[j]) === charClass &&
+            password.charCodeAt(j) - password.charCodeAt(j - 1) === delta) {
+            j++;
+        }
+        if (j - i >= 3) {
+            const first = password[i].toLowerCase();
+            const base = ['a', 'z', '0', '1', '9'].indexOf(first) !== -1 ? 4 :
+                charClass === 'digit' ? 10 : 26;
+            matches.push({
+                pattern: 'sequence',
+                i,
+                j,
+                token: password.slice(i, j),
+                guesses: base * (j - i) * (delta < 0 ? 2 : 1)
+            });
+            i = j - 1;
+        } else {
+            i++;
+        }
+    }
+    return matches;
+}
+
+/**
+ * @description find repeats e.g aaa or abcabc in a password
+ * @param  {String}   password  a password
+ * @return {Object[]}           matches
+ */
+function repeatMatches(password) {
+    const matches = [];
+    const repeats = /(.+?)\1+/g;
+    let match = repeats.exec(password);
+    while (match) {
+        const [token, base] = match;
+        const count = token.length / base.length;
+        if (token.length >= 3) {
+            matches.push({
+                pattern: 'repeat',
+                i: match.index,
+                j: match.index + token.length,
+                token,
+                guesses: estimateGuesses(base, new Map()) * count
+            });
+        }
+        repeats.lastIndex = match.index + Math.max(base.length, 1);
+        match = repeats.exec(password);
+    }
+    return matches;
+}
+
+/**
+ * @description find dates e.g 13/05/1987, 870513 or 1987 in a password
+ * @param  {String}   password  a password
+ * @return {Object[]}           matches
+ */
+function dateMatches(password) {
+    const matches = [];
+    const referenceYear = new Date().getFullYear();
+    const toYear = value => value.length === 4 ? Number(value) :
+        Number(value) > 50 ? 1900 + Number(value) : 2000 + Number(value);
+    const isYear = year => year >= 1900 && year <= referenceYear + 30;
+    const isDate = (day, month, year) => isYear(year) &&
+        ((month >= 1 && month <= 12 && day >= 1 && day <= 31) ||
+            (day >= 1 && day <= 12 && month >= 1 && month <= 31));
+    const guessesOf = (year, separated) =>
+        Math.max(Math.abs(year - referenceYear), MIN_YEAR_SPACE) * 365 * (separated ? 4 : 1);
+
+    // day, month and year lengths to try for digits of a given length
+    const splits = {
+        4: [[1, 1, 2]],
+        5: [[1, 2, 2], [2, 1, 2]],
+        6: [[2, 2, 2], [1, 1, 4], [4, 1, 1]],
+        7: [[1, 2, 4], [2, 1, 4], [4, 1, 2], [4, 2, 1]],
+        8: [[2, 2, 4], [4, 2, 2]]
+    };
+
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 4; j <= Math.min(i + 10, password.length); j++) {
+            const token = password.slice(i, j);
+            const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+            if (separated) {
+                const [, first, , middle, last] = separated;
+                const isYearFirst = first.length === 4;
+                const year = toYear(isYearFirst ? first : last);
+                const day = Number(isYearFirst ? last : first);
+                if ((isYearFirst || last.length !== 3) && isDate(day, Number(middle), year)) {
+                    matches.push({ pattern: 'date', i, j, token, guesses: guessesOf(year, true) });
+                }
+                continue;
+            }
+            if (!/^\d+$/.test(token)) {
+                continue;
+            }
+            if (token.length === 4 && isYear(Number(token))) {
+                const guesses = Math.max(Math.abs(Number(token) - referenceYear), MIN_YEAR_SPACE);
+                matches.push({ pattern: 'date', i, j, token, guesses });
+            }
+            const years = (splits[token.length] || [])
+                .map(lengths => {
+                    const parts = [];
+                    let start = 0;
+                    lengths.forEach(length => {
+                        parts.push(token.slice(start, start + length));
+                        start += length;
+                    });
+                    // year is the longest of the first and last parts
+                    const isYearFirst = lengths[0] > lengths[2];
+                    const [yearPart, dayPart, monthPart] = isYearFirst ?
+                        [parts[0], parts[2], parts[1]] : [parts[2], parts[0], parts[1]];
+                    const year = toYear(yearPart);
+                    return isDate(Number(dayPart), Number(monthPart), year) ? year : undefined;
+                })
+                .filter(Boolean);
+            if (years.length) {
+                matches.push({ pattern: 'date', i, j, token, guesses: guessesOf(years[0], false) });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * @description find the weakest combination of matches which cover the
+ *              password, characters not covered by any match are brute forced
+ * @param  {String}   password    a password
+ * @param  {Map}      userInputs  rank of every user input
+ * @return {Object}               `{ guesses, sequence }`
+ */
+function mostGuessableSequence(password, userInputs) {
+    const matches = []
+        .concat(dictionaryMatches(password, userInputs))
+        .concat(keyboardMatches(password))
+        .concat(sequenceMatches(password))
+        .concat(dateMatches(password))
+        .concat(password.length > 1 ? repeatMatches(password) : []);
+    const bruteforce = cardinality(password);
+
+    // best[k] is the weakest way to guess the first k characters
+    const best = [{ guesses: 1, sequence: [] }];
+    for (let k = 1; k <= password.length; k++) {
+        const previous = best[k - 1];
+        best[k] = { guesses: previous.guesses * bruteforce, sequence: previous.sequence };
+        matches
+            .filter(match => match.j === k)
+            .forEach(match => {
+                const guesses = best[match.i].guesses * Math.max(match.guesses, 1);
+                if (guesses < best[k].guesses) {
+                    best[k] = { guesses, sequence: best[match.i].sequence.concat(match) };
+                }
+            });
+    }
+    return best[password.length];
+}
+
+/**
+ * @description estimate number of guesses needed to crack a password
+ * @param  {String}   password    a password
+ * @param  {Map}      userInputs  rank of every user input
+ * @return {Number}               number of guesses
+ */
+function estimateGuesses(password, userInputs) {
+    return mostGuessableSequence(password, userInputs).guesses;
+}
+
+/**
+ * @description build feedback from the longest guessable pattern of a password
+ * @param  {Number}   score     password score
+ * @param  {Object[]} sequence  matches of the weakest combination
+ * @return {Object}             `{ warning, suggestions }`
+ */
+function feedbackOf(score, sequence) {
+    if (score >= 3) {
+        return { warning: '', suggestions: [] };
+    }
+    const longest = sequence
+        .slice()
+        .sort((first, second) => (second.j - second.i) - (first.j - first.i))[0];
+    if (!longest) {
+        return {
+            warning: '',
+            suggestions: ['Use a few words, avoid common phrases', 'Add another word or two. Uncommon words are better']
+        };
+    }
+    const feedback = FEEDBACK[longest.pattern];
+    const suggestions = feedback.suggestions.slice();
+    if (longest.uppercase) {
+        suggestions.push('Capitalization doesn\'t help very much');
+    }
+    if (longest.substituted) {
+        suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+    }
+    return { warning: feedback.warning, suggestions };
+}
+
+/**
+ * @description estimate strength of a password
+ * @param  {String}   password      a password
+ * @param  {String[]} [userInputs]  words and numbers associated with the
+ *                                  password owner e.g email local part
+ * @return {Object}                 `{ score, guesses, feedback: { warning, suggestions } }`
+ */
+function estimatePasswordStrength(password, userInputs = []) {
+    // long passwords are not going to be weak, cap the work
+    const candidate = String(password || '').slice(0, 100);
+    const ranks = new Map();
+    userInputs
+        .map(input => String(input).toLowerCase())
+        .filter(input => input.length >= 3)
+        .forEach(input => ranks.set(input, 1));
+
+    const { guesses, sequence } = mostGuessableSequence(candidate, ranks);
+    const score = guesses < 1e3 ? 0 : guesses < 1e6 ? 1 : guesses < 1e8 ? 2 :
+        guesses < 1e10 ? 3 : 4;
+    return { score, guesses, feedback: feedbackOf(score, sequence) };
+}
+
+
+// export module
+module.exports = estimatePasswordStrength;
@@ -3,14 +3,26 @@
 const path = require('path');
 const Confirmable = require(path.join(__dirname, 'lib', 'confirmable'));
 const Lockable = require(path.join(__dirname, 'lib', 'lockable'));
+const Passwordless = require(path.join(__dirname, 'lib', 'passwordless'));
 const Registerable = require(path.join(__dirname, 'lib', 'registerable'));
 const Recoverable = require(path.join(__dirname, 'lib', 'recoverable'));
+const Rememberable = require(path.join(__dirname, 'lib', 'rememberable'));
+const Sessionable = require(path.join(__dirname, 'lib', 'sessionable'));
+const Timeoutable = require(path.join(__dirname, 'lib', 'timeoutable'));
+const Tokenable = require(path.join(__dirname, 'lib', 'tokenable'));
 const Trackable = require(path.join(__dirname, 'lib', 'trackable'));
+const TwoFactorable = require(path.join(__dirname, 'lib', 'twofactorable'));
 
 module.exports = {
     Confirmable,
     Lockable,
+    Passwordless,
     Registerable,
     Recoverable,
-    Trackable
+    Rememberable,
+    Sessionable,
+    Timeoutable,
+    Tokenable,
+    Trackable,
+    TwoFactorable
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * @file
+ * @name build-breached-filter
+ * Build compact bloom filter of breached passwords from a directory of Have I
+ * Been Pwned range files, to be used as `password_policies.breached.bloom_filter`
+ * of registerable. Range files are named after the first five characters of
+ * sha1 digest e.g `21BD1.txt` and have a `SUFFIX:COUNT` line per breached password.
+ *
+ * @example
+ * node scripts/build-breached-filter.js <range_dir> <output> [false_positive_rate] [min_count]
+ */
+
+//dependencies
+const fs = require('fs');
+const path = require('path');
+const Utils = require(path.join(__dirname, '..', 'lib', 'utils'));
+
+/**
+ * @description visit every sha1 digest listed in range files of a directory
+ * @param  {String}   rangeDir  directory of range files
+ * @param  {Number}   minCount  minimum count of a digest to be visited
+ * @param  {Function} visit     function called with every sha1 digest
+ */
+function eachBreachedDigest(rangeDir, minCount, visit) {
+    fs
+        .readdirSync(rangeDir)
+        .filter(file => /^[0-9A-F]{5}\.txt$/i.test(file))
+        .forEach(file => {
+            const prefix = file.slice(0, 5).toUpperCase();
+            fs
+                .readFileSync(path.join(rangeDir, file), 'utf8')
+                .split(/\r?\n/)
+                .forEach(line => {
+                    const [suffix, count] = line.trim().split(':');
+                    if (/^[0-9A-F]{35}$/i.test(suffix) &&
+                        (count === undefined || Number(count) >= minCount)) {
+                        visit(`${prefix}${suffix.toUpperCase()}`);
+                    }
+                });
+        });
+}
+
+/**
+ * @description build bloom filter of breached passwords
+ * @param  {String}   rangeDir           directory of range files
+ * @param  {Number}   falsePositiveRate  acceptable rate of false positives
+ * @param  {Number}   minCount           minimum count of a password to be included
+ * @return {Object}                      bloom filter `{ hashes, buffer }`
+ */
+function buildBreachedFilter(rangeDir, falsePositiveRate, minCount) {
+    let entries = 0;
+    eachBreachedDigest(rangeDir, minCount, () => entries++);
+
+    // optimal size and number of hash functions for the expected entries
+    const bits = Math.max(8, Math.ceil(-entries * Math.log(falsePositiveRate) /
+        (Math.LN2 * Math.LN2)));
+    const hashes = Math.max(1, Math.round(bits / Math.max(entries, 1) * Math.LN2));
+    const buffer = Buffer.alloc(Math.ceil(bits / 8));
+    const size = buffer.length * 8;
+
+    eachBreachedDigest(rangeDir, minCount, sha1 => {
+        Utils
+            .bloomIndexes(sha1, size, hashes)
+            .forEach(index => {
+                buffer[Math.floor(index / 8)] |= 1 << (index % 8);
+            });
+    });
+
+    return { hashes, buffer, entries };
+}
+
+
+const [rangeDir, output, falsePositiveRate = '0.001', minCount = '1'] =
+    process.argv.slice(2);
+
+if (!rangeDir || !output) {
+    process.stderr.write('Usage: node scripts/build-breached-filter.js <range_dir> ' +
+        '<output> [false_positive_rate] [min_count]\n');
+    process.exitCode = 1;
+} else {
+    const filter = buildBreachedFilter(rangeDir, Number(falsePositiveRate), Number(minCount));
+    fs.writeFileSync(output, Utils.serializeBloomFilter(filter));
+    process.stdout.write(`Wrote ${filter.entries} breached passwords into ${output}\n`);
+}